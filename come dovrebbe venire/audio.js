@@ -0,0 +1,198 @@
+// ============================================================
+//  AUDIO - Riconoscimento del formato e lettura della durata
+//  Legge direttamente i byte dell'header dei file (Buffer),
+//  senza librerie esterne: MP3, WAV, FLAC, OGG (Vorbis/Opus), M4A.
+// ============================================================
+
+// Formati accettati: estensione del file salvato + Content-Type con cui servirlo
+const FORMATS = {
+  mp3:  { ext: 'mp3',  mimeType: 'audio/mpeg' },
+  wav:  { ext: 'wav',  mimeType: 'audio/wav'  },
+  flac: { ext: 'flac', mimeType: 'audio/flac' },
+  ogg:  { ext: 'ogg',  mimeType: 'audio/ogg'  },
+  m4a:  { ext: 'm4a',  mimeType: 'audio/mp4'  }
+};
+
+// ── RICONOSCIMENTO FORMATO ───────────────────────────────────
+// Non ci fidiamo del Content-Type inviato dal client: guardiamo i "magic bytes"
+
+/** Restituisce il formato del file ({ ext, mimeType }) oppure null se non supportato */
+function detectFormat(buf) {
+  if (buf.length < 12) return null;
+  const ascii = (start, end) => buf.toString('latin1', start, end);
+
+  if (ascii(0, 4) === 'RIFF' && ascii(8, 12) === 'WAVE') return FORMATS.wav;
+  if (ascii(0, 4) === 'fLaC') return FORMATS.flac;
+  if (ascii(0, 4) === 'OggS') return FORMATS.ogg;
+  if (ascii(4, 8) === 'ftyp') return FORMATS.m4a;
+  if (ascii(0, 3) === 'ID3' || parseMp3Header(buf, 0)) return FORMATS.mp3;
+  return null;
+}
+
+// ── DURATA ───────────────────────────────────────────────────
+
+/** Durata in secondi del file audio, oppure null se non è possibile calcolarla */
+function readDuration(buf, format) {
+  try {
+    switch (format && format.ext) {
+      case 'wav':  return wavDuration(buf);
+      case 'flac': return flacDuration(buf);
+      case 'ogg':  return oggDuration(buf);
+      case 'm4a':  return mp4Duration(buf);
+      case 'mp3':  return mp3Duration(buf);
+      default:     return null;
+    }
+  } catch {
+    // Header troncato o corrotto: meglio nessuna durata che un crash
+    return null;
+  }
+}
+
+/** "3:45", "1:02:03" o un numero di secondi → secondi (null se non valido) */
+function parseDuration(value) {
+  const str = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(str)) return Number(str);
+  if (!/^\d+(:[0-5]\d){1,2}$/.test(str)) return null;
+  return str.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/** Converte i secondi nel formato "m:ss" usato nelle playlist */
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const min   = Math.floor(total / 60);
+  const sec   = total % 60;
+  return `${min}:${String(sec).padStart(2, '0')}`;
+}
+
+// WAV: chunk "fmt " (byte al secondo) + dimensione del chunk "data"
+function wavDuration(buf) {
+  let offset   = 12;
+  let byteRate = 0;
+  while (offset + 8 <= buf.length) {
+    const id   = buf.toString('latin1', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    if (id === 'fmt ') byteRate = buf.readUInt32LE(offset + 16);
+    if (id === 'data') return byteRate ? size / byteRate : null;
+    offset += 8 + size + (size % 2); // I chunk sono allineati a 2 byte
+  }
+  return null;
+}
+
+// FLAC: il blocco STREAMINFO contiene frequenza e numero totale di campioni
+function flacDuration(buf) {
+  const sampleRate   = (buf[18] << 12) | (buf[19] << 4) | (buf[20] >> 4);
+  const totalSamples = (buf[21] & 0x0f) * 2 ** 32 + buf.readUInt32BE(22);
+  return sampleRate && totalSamples ? totalSamples / sampleRate : null;
+}
+
+// OGG: la "granule position" dell'ultima pagina è il numero di campioni riprodotti
+function oggDuration(buf) {
+  let sampleRate = 0;
+  let preSkip    = 0;
+
+  const vorbis = buf.indexOf('\x01vorbis', 0, 'latin1');
+  const opus   = buf.indexOf('OpusHead', 0, 'latin1');
+  if (vorbis !== -1) {
+    sampleRate = buf.readUInt32LE(vorbis + 12);
+  } else if (opus !== -1) {
+    sampleRate = 48000;                     // Opus lavora sempre a 48 kHz
+    preSkip    = buf.readUInt16LE(opus + 10);
+  }
+  if (!sampleRate) return null;
+
+  const lastPage = buf.lastIndexOf('OggS', buf.length - 1, 'latin1');
+  if (lastPage === -1 || lastPage + 14 > buf.length) return null;
+  const granule = Number(buf.readBigUInt64LE(lastPage + 6));
+  return granule > preSkip ? (granule - preSkip) / sampleRate : null;
+}
+
+// M4A/MP4: box "moov" → "mvhd" con timescale (unità al secondo) e durata
+function mp4Duration(buf) {
+  const moov = findBox(buf, 0, buf.length, 'moov');
+  if (!moov) return null;
+  const mvhd = findBox(buf, moov.start, moov.end, 'mvhd');
+  if (!mvhd) return null;
+
+  const version = buf[mvhd.start];
+  const timescale = version === 1 ? buf.readUInt32BE(mvhd.start + 20) : buf.readUInt32BE(mvhd.start + 12);
+  const duration  = version === 1
+    ? Number(buf.readBigUInt64BE(mvhd.start + 24))
+    : buf.readUInt32BE(mvhd.start + 16);
+  return timescale ? duration / timescale : null;
+}
+
+/** Cerca un box MP4 di un certo tipo tra start e end; restituisce i limiti del suo contenuto */
+function findBox(buf, start, end, type) {
+  let offset = start;
+  while (offset + 8 <= end) {
+    const size = buf.readUInt32BE(offset);
+    const name = buf.toString('latin1', offset + 4, offset + 8);
+    if (size < 8) return null; // Box a 64 bit o malformato: non gestito
+    if (name === type) return { start: offset + 8, end: Math.min(offset + size, end) };
+    offset += size;
+  }
+  return null;
+}
+
+// MP3 (MPEG Layer III) ────────────────────────────────────────
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],   // MPEG-1
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]        // MPEG-2 e 2.5
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+/** Decodifica l'header di 4 byte di un frame MP3 (null se non è un header valido) */
+function parseMp3Header(buf, i) {
+  if (i + 4 > buf.length || buf[i] !== 0xff || (buf[i + 1] & 0xe0) !== 0xe0) return null;
+  const versionBits = (buf[i + 1] >> 3) & 3;   // 0 = 2.5, 2 = 2, 3 = 1
+  const layerBits   = (buf[i + 1] >> 1) & 3;   // 1 = Layer III
+  const bitrateIdx  = buf[i + 2] >> 4;
+  const rateIdx     = (buf[i + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits !== 1 || bitrateIdx === 0 || bitrateIdx === 15 || rateIdx === 3) return null;
+
+  const mpeg1 = versionBits === 3;
+  const div   = mpeg1 ? 1 : versionBits === 2 ? 2 : 4;
+  return {
+    mpeg1,
+    bitrate:    MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIdx] * 1000,
+    sampleRate: MP3_SAMPLE_RATES[rateIdx] / div,
+    samples:    mpeg1 ? 1152 : 576,          // Campioni per frame
+    mono:       (buf[i + 3] >> 6) === 3
+  };
+}
+
+/** Posizione del primo frame MP3 a partire da "from" (-1 se non trovato) */
+function findMp3Frame(buf, from) {
+  const limit = Math.min(buf.length - 4, from + 64 * 1024);
+  for (let i = from; i <= limit; i++) {
+    if (parseMp3Header(buf, i)) return i;
+  }
+  return -1;
+}
+
+function mp3Duration(buf) {
+  // Salta l'eventuale tag ID3v2 (dimensione codificata "syncsafe": 7 bit per byte)
+  let start = 0;
+  if (buf.toString('latin1', 0, 3) === 'ID3') {
+    start = 10 + ((buf[6] << 21) | (buf[7] << 14) | (buf[8] << 7) | buf[9]);
+  }
+  const pos = findMp3Frame(buf, start);
+  if (pos === -1) return null;
+  const header = parseMp3Header(buf, pos);
+
+  // File VBR: l'header Xing/Info (o VBRI) riporta il numero totale di frame
+  const sideInfo = header.mpeg1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  const xing     = pos + 4 + sideInfo;
+  const tag      = buf.toString('latin1', xing, xing + 4);
+  if ((tag === 'Xing' || tag === 'Info') && (buf.readUInt32BE(xing + 4) & 1)) {
+    return buf.readUInt32BE(xing + 8) * header.samples / header.sampleRate;
+  }
+  if (buf.toString('latin1', pos + 36, pos + 40) === 'VBRI') {
+    return buf.readUInt32BE(pos + 36 + 14) * header.samples / header.sampleRate;
+  }
+
+  // File CBR: durata = byte audio / byte al secondo
+  return (buf.length - pos) * 8 / header.bitrate;
+}
+
+module.exports = { detectFormat, readDuration, parseDuration, formatDuration };
@@ -0,0 +1,1026 @@
+// ============================================================
+//  IMMAGINI - Copertine e avatar caricati dagli utenti
+//  Senza librerie esterne (solo zlib di Node):
+//  - riconosce PNG e JPEG dai "magic bytes"
+//  - li decodifica in pixel RGBA (PNG di ogni tipo, anche
+//    interlacciati; JPEG baseline e progressivi)
+//  - ritaglia il quadrato centrale e lo riduce alle misure
+//    delle miniature (media delle aree: niente scalettature)
+//  - ricodifica ogni miniatura: PNG se ha trasparenze, altrimenti JPEG
+//  Il file originale non viene mai salvato: i metadati (EXIF con
+//  posizione GPS, modello del telefono, …) spariscono da soli.
+//  L'orientamento EXIF delle foto viene invece applicato ai pixel.
+//  Decodificare una foto grande richiede anche più di un secondo:
+//  il server lo fa fare a un worker thread (thumbnailsInWorker),
+//  così nel frattempo continua a rispondere alle altre richieste.
+// ============================================================
+
+const zlib = require('zlib');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
+
+const IMAGE_SIZES      = [64, 256, 512];   // Lato delle miniature quadrate (in pixel)
+const MAX_IMAGE_PIXELS = 16 * 1024 * 1024; // Oltre, l'immagine decodificata occuperebbe troppa memoria
+const MAX_IMAGE_SIDE   = 16384;            // Lato massimo: niente strisce lunghissime (1 × 16 milioni)
+const JPEG_QUALITY     = 85;
+
+const FORMATS = {
+  png:  { ext: 'png', mimeType: 'image/png'  },
+  jpeg: { ext: 'jpg', mimeType: 'image/jpeg' }
+};
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+/** Errore di un'immagine valida ma in una variante che non gestiamo (→ 415, non 400) */
+function unsupported(message) {
+  return Object.assign(new Error(message), { unsupported: true });
+}
+
+// ── RICONOSCIMENTO FORMATO ───────────────────────────────────
+
+/** Formato dell'immagine ({ ext, mimeType }) oppure null se non supportato */
+function detectImageFormat(buf) {
+  if (buf.length >= 8 && buf.subarray(0, 8).equals(PNG_SIGNATURE)) return FORMATS.png;
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return FORMATS.jpeg;
+  return null;
+}
+
+// ── MINIATURE ────────────────────────────────────────────────
+
+/**
+ * Decodifica un PNG o un JPEG in pixel RGBA.
+ * Restituisce { width, height, data, orientation } oppure { error, unsupported }
+ * (unsupported: formato o variante non gestiti; altrimenti il file è danneggiato).
+ */
+function decodeImage(buf) {
+  const format = detectImageFormat(buf);
+  if (!format) return { error: 'Formato immagine non supportato (png, jpeg)', unsupported: true };
+  try {
+    return { orientation: 1, ...(format === FORMATS.png ? decodePng(buf) : decodeJpeg(buf)) };
+  } catch (err) {
+    if (err.unsupported) return { error: err.message, unsupported: true };
+    return { error: 'Immagine danneggiata o non leggibile' };
+  }
+}
+
+/**
+ * Decodifica l'immagine e ne crea le miniature quadrate.
+ * Restituisce { ext, mimeType, thumbnails: [{ size, data }] } oppure { error, unsupported } come decodeImage.
+ * Un'immagine più piccola di una misura non viene ingrandita: quella miniatura resta più piccola.
+ */
+function makeThumbnails(buf) {
+  const image = decodeImage(buf);
+  if (image.error) return image;
+
+  // Il quadrato centrale: ruotare o specchiare prima o dopo il ritaglio dà lo stesso risultato,
+  // quindi l'orientamento EXIF si applica alle miniature (molto più piccole dell'originale)
+  const side = Math.min(image.width, image.height);
+  const x0   = Math.floor((image.width - side) / 2);
+  const y0   = Math.floor((image.height - side) / 2);
+  const squares = IMAGE_SIZES.map(size => {
+    const n = Math.min(size, side);
+    return { size, n, pixels: orient(resample(image, x0, y0, side, n), n, image.orientation) };
+  });
+
+  // Trasparenze → PNG (il JPEG non le supporta); altrimenti JPEG, molto più leggero per le foto
+  const transparent = squares.some(({ pixels }) => pixels.some((v, i) => i % 4 === 3 && v < 255));
+  const out = transparent ? FORMATS.png : FORMATS.jpeg;
+  return {
+    ...out,
+    thumbnails: squares.map(({ size, n, pixels }) => ({
+      size,
+      data: transparent ? encodePng(pixels, n, n) : encodeJpeg(pixels, n, n, JPEG_QUALITY)
+    }))
+  };
+}
+
+// Una decodifica alla volta: ogni immagine in lavorazione occupa fino a MAX_IMAGE_PIXELS × 4 byte
+let workerQueue = Promise.resolve();
+
+/**
+ * Come makeThumbnails, ma in un worker thread (questo stesso file, vedi in fondo).
+ * Restituisce una Promise con lo stesso risultato; è rifiutata solo se il worker si interrompe.
+ */
+function thumbnailsInWorker(buf) {
+  const result = workerQueue.then(() => new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, { workerData: { thumbnails: buf } });
+    worker.once('message', resolve);
+    worker.once('error', reject);
+    worker.once('exit', code => reject(new Error(`Worker delle immagini terminato (codice ${code})`)));
+  }));
+  workerQueue = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Riduce il quadrato (x0, y0, side) dell'immagine a n×n pixel RGBA.
+ * Ogni pixel di arrivo è la media (pesata sulla superficie coperta) dei pixel di partenza;
+ * i colori sono premoltiplicati per l'alfa, così i pixel trasparenti non "sporcano" i bordi.
+ */
+function resample(image, x0, y0, side, n) {
+  const weights = axisWeights(side, n);
+  const src = image.data;
+  const w   = image.width;
+
+  // Passata orizzontale: side righe × n colonne
+  const rows = new Float32Array(side * n * 4);
+  for (let y = 0; y < side; y++) {
+    const line = ((y0 + y) * w + x0) * 4;
+    for (let x = 0; x < n; x++) {
+      const { first, list } = weights[x];
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < list.length; k++) {
+        const p  = line + (first + k) * 4;
+        const wa = list[k] * src[p + 3];
+        r += wa * src[p]; g += wa * src[p + 1]; b += wa * src[p + 2]; a += wa;
+      }
+      const o = (y * n + x) * 4;
+      rows[o] = r; rows[o + 1] = g; rows[o + 2] = b; rows[o + 3] = a;
+    }
+  }
+
+  // Passata verticale e ritorno ai colori non premoltiplicati
+  const out = new Uint8Array(n * n * 4);
+  for (let y = 0; y < n; y++) {
+    const { first, list } = weights[y];
+    for (let x = 0; x < n; x++) {
+      let r = 0, g = 0, b = 0, a = 0;
+      for (let k = 0; k < list.length; k++) {
+        const p = ((first + k) * n + x) * 4;
+        r += list[k] * rows[p]; g += list[k] * rows[p + 1]; b += list[k] * rows[p + 2]; a += list[k] * rows[p + 3];
+      }
+      const o = (y * n + x) * 4;
+      if (a > 0) {
+        out[o] = clamp(r / a); out[o + 1] = clamp(g / a); out[o + 2] = clamp(b / a);
+      }
+      out[o + 3] = clamp(a);
+    }
+  }
+  return out;
+}
+
+/** Per ogni pixel di arrivo: il primo pixel di partenza e quanto conta ciascuno (somma 1) */
+function axisWeights(from, to) {
+  const scale = from / to;
+  return Array.from({ length: to }, (_, i) => {
+    const start = i * scale;
+    const end   = (i + 1) * scale;
+    const first = Math.floor(start);
+    const list  = [];
+    for (let j = first; j < Math.min(Math.ceil(end), from); j++) {
+      list.push((Math.min(end, j + 1) - Math.max(start, j)) / scale);
+    }
+    return { first, list };
+  });
+}
+
+const clamp = v => (v <= 0 ? 0 : v >= 255 ? 255 : Math.round(v));
+
+/**
+ * Applica l'orientamento EXIF (1-8) a un'immagine quadrata n×n:
+ * 2 = specchiata, 3 = ruotata di 180°, 6 = di 90° in senso orario, 8 = antiorario, …
+ */
+function orient(pixels, n, orientation) {
+  if (!orientation || orientation === 1) return pixels;
+  const out = new Uint8Array(pixels.length);
+  const last = n - 1;
+  // Per ogni pixel di arrivo (x, y), da dove viene nell'immagine salvata
+  const source = {
+    2: (x, y) => [last - x, y],
+    3: (x, y) => [last - x, last - y],
+    4: (x, y) => [x, last - y],
+    5: (x, y) => [y, x],
+    6: (x, y) => [y, last - x],
+    7: (x, y) => [last - y, last - x],
+    8: (x, y) => [last - y, x]
+  }[orientation];
+  if (!source) return pixels;
+  for (let y = 0; y < n; y++) {
+    for (let x = 0; x < n; x++) {
+      const [sx, sy] = source(x, y);
+      const s = (sy * n + sx) * 4;
+      const o = (y * n + x) * 4;
+      out[o] = pixels[s]; out[o + 1] = pixels[s + 1]; out[o + 2] = pixels[s + 2]; out[o + 3] = pixels[s + 3];
+    }
+  }
+  return out;
+}
+
+/** Da controllare appena lette le dimensioni, prima di allocare qualsiasi cosa per i pixel */
+function checkSize(width, height) {
+  if (!width || !height) throw new Error('Dimensioni non valide');
+  if (width > MAX_IMAGE_SIDE || height > MAX_IMAGE_SIDE) {
+    throw unsupported(`Immagine troppo grande (max ${MAX_IMAGE_SIDE} pixel per lato)`);
+  }
+  if (width * height > MAX_IMAGE_PIXELS) {
+    throw unsupported(`Immagine troppo grande (max ${MAX_IMAGE_PIXELS / 1024 / 1024} megapixel)`);
+  }
+}
+
+// ── PNG: DECODIFICA ──────────────────────────────────────────
+// Chunk: [lunghezza 4 byte][tipo 4 byte][dati][CRC 4 byte].
+// IHDR (dimensioni e tipo), PLTE (palette), tRNS (trasparenza), IDAT (pixel compressi con zlib).
+
+const PNG_CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }; // Tipo di colore → canali per pixel
+
+// Interlacciamento Adam7: 7 passate, ognuna su una griglia diversa [x0, y0, passo x, passo y]
+const ADAM7 = [[0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4], [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]];
+
+function decodePng(buf) {
+  let offset = 8;
+  let header = null;
+  let palette = null;
+  let trns = null;
+  const idat = [];
+
+  while (offset + 8 <= buf.length) {
+    const length = buf.readUInt32BE(offset);
+    const type   = buf.toString('latin1', offset + 4, offset + 8);
+    const data   = buf.subarray(offset + 8, offset + 8 + length);
+    if (data.length < length) throw new Error('Chunk troncato');
+    if (type === 'IHDR') {
+      header = {
+        width: data.readUInt32BE(0), height: data.readUInt32BE(4),
+        depth: data[8], colorType: data[9], interlace: data[12]
+      };
+    } else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') trns = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+
+  if (!header || !idat.length) throw new Error('PNG senza IHDR o IDAT');
+  const { width, height, depth, colorType, interlace } = header;
+  const channels = PNG_CHANNELS[colorType];
+  if (!channels || ![1, 2, 4, 8, 16].includes(depth) || interlace > 1) throw new Error('IHDR non valido');
+  if (colorType === 3 && !palette) throw new Error('Palette mancante');
+  checkSize(width, height);
+
+  // Le passate da decodificare (una sola se non interlacciata) e i byte attesi dopo la decompressione:
+  // maxOutputLength evita che un file minuscolo si "gonfi" fino a esaurire la memoria
+  const passes = (interlace ? ADAM7 : [[0, 0, 1, 1]]).map(([px, py, sx, sy]) => ({
+    px, py, sx, sy,
+    w: Math.ceil((width - px) / sx),
+    h: Math.ceil((height - py) / sy)
+  })).filter(p => p.w > 0 && p.h > 0);
+  const stride = w => Math.ceil((w * channels * depth) / 8);
+  const expected = passes.reduce((total, p) => total + (stride(p.w) + 1) * p.h, 0);
+  const raw = zlib.inflateSync(Buffer.concat(idat), { maxOutputLength: expected + 1024 });
+  if (raw.length < expected) throw new Error('Dati dei pixel incompleti');
+
+  const out = new Uint8Array(width * height * 4);
+  const pixel = pngPixelReader(header, channels, palette, trns);
+  const bpp = Math.max(1, (channels * depth) / 8); // Byte per pixel (almeno 1) per i filtri
+  let pos = 0;
+  for (const p of passes) {
+    const len = stride(p.w);
+    let prev = new Uint8Array(len);
+    for (let y = 0; y < p.h; y++) {
+      const filter = raw[pos];
+      const line = Uint8Array.from(raw.subarray(pos + 1, pos + 1 + len));
+      unfilter(filter, line, prev, bpp);
+      pos += len + 1;
+      for (let x = 0; x < p.w; x++) {
+        const o = ((p.py + y * p.sy) * width + p.px + x * p.sx) * 4;
+        pixel(line, x, out, o);
+      }
+      prev = line;
+    }
+  }
+  return { width, height, data: out };
+}
+
+/** Annulla il filtro di una riga PNG (in place); prev è la riga precedente già decodificata */
+function unfilter(filter, line, prev, bpp) {
+  for (let i = 0; i < line.length; i++) {
+    const left = i >= bpp ? line[i - bpp] : 0;
+    const up   = prev[i];
+    const upLeft = i >= bpp ? prev[i - bpp] : 0;
+    switch (filter) {
+      case 0: break;
+      case 1: line[i] = (line[i] + left) & 0xff; break;
+      case 2: line[i] = (line[i] + up) & 0xff; break;
+      case 3: line[i] = (line[i] + ((left + up) >> 1)) & 0xff; break;
+      case 4: line[i] = (line[i] + paeth(left, up, upLeft)) & 0xff; break;
+      default: throw new Error('Filtro PNG non valido');
+    }
+  }
+}
+
+/** Predittore di Paeth: tra sinistra, sopra e diagonale, il più vicino a sinistra + sopra - diagonale */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Funzione che legge il pixel x di una riga e lo scrive in RGBA a 8 bit.
+ * Gestisce profondità 1-16 bit, grigi (scalati a 0-255), palette e trasparenza tRNS.
+ */
+function pngPixelReader({ depth, colorType }, channels, palette, trns) {
+  const max = (1 << depth) - 1;
+  // Campione c del pixel x, al valore originale (per il confronto con tRNS)
+  const sample = (line, x, c) => {
+    const index = x * channels + c;
+    if (depth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+    if (depth === 8)  return line[index];
+    const bit = index * depth;
+    return (line[bit >> 3] >> (8 - depth - (bit & 7))) & max;
+  };
+  const to8 = v => (depth === 16 ? v >> 8 : Math.round((v * 255) / max));
+  const key = trns && colorType !== 3
+    ? Array.from({ length: trns.length >> 1 }, (_, i) => trns.readUInt16BE(i * 2))
+    : null;
+
+  return (line, x, out, o) => {
+    if (colorType === 3) {
+      const i = sample(line, x, 0);
+      out[o] = palette[i * 3]; out[o + 1] = palette[i * 3 + 1]; out[o + 2] = palette[i * 3 + 2];
+      out[o + 3] = trns && i < trns.length ? trns[i] : 255;
+      return;
+    }
+    const gray = colorType === 0 || colorType === 4;
+    const r = sample(line, x, 0);
+    const g = gray ? r : sample(line, x, 1);
+    const b = gray ? r : sample(line, x, 2);
+    out[o] = to8(r); out[o + 1] = to8(g); out[o + 2] = to8(b);
+    if (colorType === 4 || colorType === 6) out[o + 3] = to8(sample(line, x, channels - 1));
+    else out[o + 3] = key && (gray ? key[0] === r : key[0] === r && key[1] === g && key[2] === b) ? 0 : 255;
+  };
+}
+
+// ── PNG: CODIFICA ────────────────────────────────────────────
+
+// CRC32 dei chunk (polinomio 0xEDB88320), tabella calcolata una volta sola
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/** PNG RGBA a 8 bit; ogni riga usa il filtro Paeth, che comprime bene le immagini ridotte */
+function encodePng(pixels, width, height) {
+  const len = width * 4;
+  const raw = Buffer.alloc((len + 1) * height);
+  for (let y = 0; y < height; y++) {
+    const row = y * len;
+    raw[y * (len + 1)] = 4;
+    for (let i = 0; i < len; i++) {
+      const left   = i >= 4 ? pixels[row + i - 4] : 0;
+      const up     = y ? pixels[row - len + i] : 0;
+      const upLeft = y && i >= 4 ? pixels[row - len + i - 4] : 0;
+      raw[y * (len + 1) + 1 + i] = (pixels[row + i] - paeth(left, up, upLeft)) & 0xff;
+    }
+  }
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; // bit per canale
+  ihdr[9] = 6; // RGBA (compressione, filtro e interlacciamento restano 0)
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    pngChunk('IHDR', ihdr),
+    pngChunk('IDAT', zlib.deflateSync(raw, { level: 9 })),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+// ── JPEG: STRUTTURE COMUNI ───────────────────────────────────
+// Un JPEG è una serie di "marker" (0xFF + tipo). L'immagine è divisa in blocchi 8×8 per
+// componente (Y, Cb, Cr): ogni blocco è trasformato con la DCT in 64 coefficienti,
+// divisi per una tabella di quantizzazione e compressi con codici di Huffman.
+
+// Ordine "a zig-zag" dei coefficienti: posizione nel flusso → posizione nel blocco 8×8
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5,
+  12, 19, 26, 33, 40, 48, 41, 34, 27, 20, 13, 6, 7, 14, 21, 28,
+  35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51,
+  58, 59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63
+];
+
+// Coseni della DCT: COS[x * 8 + u] = C(u) / 2 · cos((2x + 1)uπ / 16)
+const COS = new Float64Array(64);
+for (let x = 0; x < 8; x++) {
+  for (let u = 0; u < 8; u++) {
+    COS[x * 8 + u] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+// ── JPEG: DECODIFICA ─────────────────────────────────────────
+
+function decodeJpeg(buf) {
+  const qt = [];        // Tabelle di quantizzazione (in ordine naturale)
+  const dc = [];        // Tabelle di Huffman per i coefficienti DC…
+  const ac = [];        // …e AC
+  let frame = null;
+  let restartInterval = 0;
+  let orientation = 1;
+  let adobe = null;
+  let offset = 2;
+
+  while (offset < buf.length) {
+    if (buf[offset] !== 0xff) throw new Error('Marker JPEG atteso');
+    while (buf[offset] === 0xff) offset++; // Byte di riempimento prima del marker
+    const marker = buf[offset++];
+    if (marker === 0xd9) break;                              // EOI: fine immagine
+    if (marker >= 0xd0 && marker <= 0xd7) continue;          // RST fuori posto: nessun dato
+    const length = buf.readUInt16BE(offset);
+    const data   = buf.subarray(offset + 2, offset + length);
+    if (data.length < length - 2) throw new Error('Segmento troncato');
+    offset += length;
+
+    switch (marker) {
+      case 0xe1: // APP1: EXIF (ci serve solo l'orientamento)
+        if (data.toString('latin1', 0, 6) === 'Exif\0\0') orientation = exifOrientation(data.subarray(6));
+        break;
+      case 0xee: // APP14 "Adobe": dice se le 3 componenti sono YCbCr o già RGB
+        if (data.toString('latin1', 0, 5) === 'Adobe') adobe = { transform: data[11] };
+        break;
+      case 0xdb: readQuantTables(data, qt); break;
+      case 0xc4: readHuffmanTables(data, dc, ac); break;
+      case 0xdd: restartInterval = data.readUInt16BE(0); break;
+      case 0xc0: case 0xc1: case 0xc2:
+        frame = readFrame(data, marker === 0xc2);
+        break;
+      case 0xda: {
+        if (!frame) throw new Error('Scan prima del frame');
+        offset = decodeScan(buf, offset, data, frame, dc, ac, restartInterval);
+        break;
+      }
+      default:
+        // Altri SOF: lossless, codifica aritmetica, gerarchici
+        if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+          throw unsupported('Questo tipo di JPEG non è supportato (solo baseline e progressivi)');
+        }
+    }
+  }
+  if (!frame) throw new Error('JPEG senza frame');
+  return { ...jpegPixels(frame, qt, adobe), orientation };
+}
+
+/** Tag 0x0112 (Orientation) dell'IFD0 EXIF: 1-8, oppure 1 se manca */
+function exifOrientation(tiff) {
+  try {
+    const le = tiff.toString('latin1', 0, 2) === 'II';
+    const u16 = o => (le ? tiff.readUInt16LE(o) : tiff.readUInt16BE(o));
+    const u32 = o => (le ? tiff.readUInt32LE(o) : tiff.readUInt32BE(o));
+    const ifd = u32(4);
+    const count = u16(ifd);
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (u16(entry) === 0x0112) {
+        const value = u16(entry + 8);
+        return value >= 1 && value <= 8 ? value : 1;
+      }
+    }
+  } catch {
+    // EXIF troncato: lo ignoriamo, come farebbe un browser
+  }
+  return 1;
+}
+
+function readQuantTables(data, qt) {
+  let o = 0;
+  while (o < data.length) {
+    const precision = data[o] >> 4;
+    const id = data[o++] & 15;
+    const table = new Int32Array(64);
+    for (let k = 0; k < 64; k++) {
+      table[ZIGZAG[k]] = precision ? data.readUInt16BE(o + k * 2) : data[o + k];
+    }
+    qt[id] = table;
+    o += precision ? 128 : 64;
+  }
+}
+
+/**
+ * Tabelle di Huffman: per ogni lunghezza (1-16 bit) quanti codici e poi i simboli.
+ * Le trasformiamo in una tabella di ricerca su 16 bit: lookup[prossimi 16 bit] = (lunghezza << 8) | simbolo
+ */
+function readHuffmanTables(data, dc, ac) {
+  let o = 0;
+  while (o < data.length) {
+    const cls = data[o] >> 4;
+    const id  = data[o] & 15;
+    const counts = data.subarray(o + 1, o + 17);
+    o += 17;
+    const lookup = new Uint16Array(65536);
+    let code = 0;
+    for (let len = 1; len <= 16; len++) {
+      for (let i = 0; i < counts[len - 1]; i++) {
+        const shift = 16 - len;
+        const start = code << shift;
+        if (start + (1 << shift) > 65536) throw new Error('Tabella di Huffman non valida');
+        lookup.fill((len << 8) | data[o++], start, start + (1 << shift));
+        code++;
+      }
+      code <<= 1;
+    }
+    (cls ? ac : dc)[id] = lookup;
+  }
+}
+
+function readFrame(data, progressive) {
+  if (data[0] !== 8) throw unsupported('Sono supportati solo i JPEG a 8 bit');
+  const height = data.readUInt16BE(1);
+  const width  = data.readUInt16BE(3);
+  checkSize(width, height);
+  const count = data[5];
+  if (count !== 1 && count !== 3) throw unsupported('Sono supportati solo i JPEG in scala di grigi o a colori (niente CMYK)');
+
+  const components = [];
+  for (let i = 0; i < count; i++) {
+    const o = 6 + i * 3;
+    components.push({ id: data[o], h: data[o + 1] >> 4, v: data[o + 1] & 15, tq: data[o + 2] });
+  }
+  if (components.some(c => !c.h || !c.v || c.h > 4 || c.v > 4)) throw new Error('Campionamento non valido');
+  const hmax = Math.max(...components.map(c => c.h));
+  const vmax = Math.max(...components.map(c => c.v));
+  const mcusX = Math.ceil(width / (8 * hmax));
+  const mcusY = Math.ceil(height / (8 * vmax));
+
+  components.forEach(c => {
+    // Blocchi davvero usati dall'immagine e blocchi allocati (fino a riempire le MCU)
+    c.blocksX = Math.ceil(Math.ceil((width * c.h) / hmax) / 8);
+    c.blocksY = Math.ceil(Math.ceil((height * c.v) / vmax) / 8);
+    c.stride  = mcusX * c.h;
+    c.coeffs  = new Int16Array(mcusX * c.h * mcusY * c.v * 64);
+  });
+  return { width, height, progressive, components, hmax, vmax, mcusX, mcusY };
+}
+
+/**
+ * Lettore di bit del flusso compresso. Dopo un 0xFF il JPEG inserisce un 0x00 ("byte stuffing")
+ * da saltare; un 0xFF seguito da altro è un marker: lì i dati finiscono e si leggono zeri.
+ */
+function bitReader(buf, start) {
+  let pos = start, bits = 0, count = 0;
+  const fill = () => {
+    while (count <= 16) {
+      let byte = 0;
+      if (pos < buf.length && !(buf[pos] === 0xff && buf[pos + 1] !== 0)) {
+        byte = buf[pos++];
+        if (byte === 0xff) pos++;
+      }
+      bits = (bits << 8) | byte;
+      count += 8;
+    }
+  };
+  const peek = n => {
+    if (count < n) fill();
+    return (bits >>> (count - n)) & ((1 << n) - 1);
+  };
+  const skip = n => {
+    count -= n;
+    bits &= (1 << count) - 1;
+  };
+  return {
+    read(n) {
+      if (!n) return 0;
+      const v = peek(n);
+      skip(n);
+      return v;
+    },
+    decode(lookup) {
+      if (!lookup) throw new Error('Tabella di Huffman mancante');
+      const entry = lookup[peek(16)];
+      if (!entry) throw new Error('Codice di Huffman non valido');
+      skip(entry >> 8);
+      return entry & 0xff;
+    },
+    /** Valore con segno di s bit (codifica "extend" del JPEG) */
+    receive(s) {
+      if (!s) return 0;
+      const v = this.read(s);
+      return v < 1 << (s - 1) ? v - (1 << s) + 1 : v;
+    },
+    /** Dopo un intervallo di restart: scarta i bit rimasti e salta il marker RSTn */
+    restart() {
+      bits = 0;
+      count = 0;
+      while (pos + 1 < buf.length && !(buf[pos] === 0xff && buf[pos + 1] >= 0xd0 && buf[pos + 1] <= 0xd7)) pos++;
+      pos += 2;
+    },
+    /** Posizione del prossimo marker (dove riprendere a leggere i segmenti) */
+    end() {
+      while (pos + 1 < buf.length && !(buf[pos] === 0xff && buf[pos + 1] !== 0 && !(buf[pos + 1] >= 0xd0 && buf[pos + 1] <= 0xd7))) pos++;
+      return pos;
+    }
+  };
+}
+
+/**
+ * Decodifica uno scan (SOS) e restituisce la posizione da cui continuare.
+ * Baseline: tutti i coefficienti in un colpo. Progressivo: ogni scan porta una banda
+ * di coefficienti (ss-se) o un bit in più di precisione (ah/al) e si accumula nei blocchi.
+ */
+function decodeScan(buf, offset, header, frame, dcTables, acTables, restartInterval) {
+  const count = header[0];
+  const comps = [];
+  for (let i = 0; i < count; i++) {
+    const comp = frame.components.find(c => c.id === header[1 + i * 2]);
+    if (!comp) throw new Error('Componente sconosciuta nello scan');
+    comp.dc = dcTables[header[2 + i * 2] >> 4];
+    comp.ac = acTables[header[2 + i * 2] & 15];
+    comp.pred = 0;
+    comps.push(comp);
+  }
+  const o  = 1 + count * 2;
+  const ss = header[o], se = header[o + 1], ah = header[o + 2] >> 4, al = header[o + 2] & 15;
+  if (ss > se || se > 63) throw new Error('Banda dello scan non valida');
+
+  const reader = bitReader(buf, offset);
+  let eobrun = 0;
+
+  let decodeBlock;
+  if (!frame.progressive) {
+    decodeBlock = (c, b) => {
+      c.pred += reader.receive(reader.decode(c.dc));
+      c.coeffs[b] = c.pred;
+      for (let k = 1; k < 64; k++) {
+        const rs = reader.decode(c.ac);
+        const s = rs & 15, r = rs >> 4;
+        if (!s) {
+          if (r < 15) break; // EOB: il resto del blocco è zero
+          k += 15;           // ZRL: 16 zeri
+          continue;
+        }
+        k += r;
+        if (k > 63) throw new Error('Blocco non valido');
+        c.coeffs[b + ZIGZAG[k]] = reader.receive(s);
+      }
+    };
+  } else if (ss === 0) {
+    decodeBlock = ah === 0
+      ? (c, b) => { c.pred += reader.receive(reader.decode(c.dc)); c.coeffs[b] = c.pred * (1 << al); }
+      : (c, b) => { if (reader.read(1)) c.coeffs[b] |= 1 << al; };
+  } else if (ah === 0) {
+    // Prima passata di una banda AC; eobrun = quanti blocchi seguenti sono già finiti
+    decodeBlock = (c, b) => {
+      if (eobrun > 0) { eobrun--; return; }
+      for (let k = ss; k <= se; k++) {
+        const rs = reader.decode(c.ac);
+        const s = rs & 15, r = rs >> 4;
+        if (!s) {
+          if (r < 15) { eobrun = (1 << r) - 1 + reader.read(r); break; }
+          k += 15;
+          continue;
+        }
+        k += r;
+        if (k > 63) throw new Error('Blocco non valido');
+        c.coeffs[b + ZIGZAG[k]] = reader.receive(s) * (1 << al);
+      }
+    };
+  } else {
+    // Raffinamento AC: un bit in più per i coefficienti già non nulli, nuovi coefficienti ±1
+    const p1 = 1 << al, m1 = -1 << al;
+    const refine = (coeffs, i) => {
+      if (reader.read(1) && (coeffs[i] & p1) === 0) coeffs[i] += coeffs[i] >= 0 ? p1 : m1;
+    };
+    decodeBlock = (c, b) => {
+      let k = ss;
+      if (eobrun <= 0) {
+        for (; k <= se; k++) {
+          const rs = reader.decode(c.ac);
+          let r = rs >> 4;
+          let s = rs & 15;
+          if (s) s = reader.read(1) ? p1 : m1;
+          else if (r !== 15) { eobrun = (1 << r) + reader.read(r); break; }
+          // Salta r coefficienti nulli (raffinando quelli non nulli che incontra)
+          for (; k <= se; k++) {
+            const i = b + ZIGZAG[k];
+            if (c.coeffs[i] !== 0) refine(c.coeffs, i);
+            else if (--r < 0) break;
+          }
+          if (s && k <= se) c.coeffs[b + ZIGZAG[k]] = s;
+        }
+      }
+      if (eobrun > 0) {
+        for (; k <= se; k++) {
+          const i = b + ZIGZAG[k];
+          if (c.coeffs[i] !== 0) refine(c.coeffs, i);
+        }
+        eobrun--;
+      }
+    };
+  }
+
+  const blockAt = (c, row, col) => (row * c.stride + col) * 64;
+  // Scan con una sola componente: i blocchi si leggono uno a uno (solo quelli dentro l'immagine);
+  // con più componenti per MCU: h×v blocchi di ciascuna
+  const single = comps.length === 1;
+  const total  = single ? comps[0].blocksX * comps[0].blocksY : frame.mcusX * frame.mcusY;
+  for (let m = 0; m < total; m++) {
+    if (restartInterval && m && m % restartInterval === 0) {
+      reader.restart();
+      comps.forEach(c => { c.pred = 0; });
+      eobrun = 0;
+    }
+    if (single) {
+      const c = comps[0];
+      decodeBlock(c, blockAt(c, Math.floor(m / c.blocksX), m % c.blocksX));
+    } else {
+      const row = Math.floor(m / frame.mcusX), col = m % frame.mcusX;
+      for (const c of comps) {
+        for (let v = 0; v < c.v; v++) {
+          for (let h = 0; h < c.h; h++) decodeBlock(c, blockAt(c, row * c.v + v, col * c.h + h));
+        }
+      }
+    }
+  }
+  return reader.end();
+}
+
+/** Dequantizza, applica la DCT inversa, allarga le componenti sottocampionate e converte in RGBA */
+function jpegPixels(frame, qt, adobe) {
+  const { width, height, components, hmax, vmax } = frame;
+
+  const planes = components.map(c => {
+    const q = qt[c.tq];
+    if (!q) throw new Error('Tabella di quantizzazione mancante');
+    const w = c.stride * 8;
+    const plane = new Uint8Array(w * (c.coeffs.length / 64 / c.stride) * 8);
+    const block = new Float64Array(64);
+    const tmp   = new Float64Array(64);
+    for (let b = 0; b < c.coeffs.length; b += 64) {
+      const bx = ((b / 64) % c.stride) * 8;
+      const by = Math.floor(b / 64 / c.stride) * 8;
+      let acZero = true;
+      for (let i = 0; i < 64; i++) {
+        block[i] = c.coeffs[b + i] * q[i];
+        if (i && block[i]) acZero = false;
+      }
+      if (acZero) {
+        // Solo la componente continua (blocco uniforme, molto frequente): niente DCT
+        const v = clamp(block[0] / 8 + 128);
+        for (let y = 0; y < 8; y++) plane.fill(v, (by + y) * w + bx, (by + y) * w + bx + 8);
+        continue;
+      }
+      idct(block, tmp);
+      for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) plane[(by + y) * w + bx + x] = clamp(block[y * 8 + x] + 128);
+      }
+    }
+    return { plane, w, sx: c.h / hmax, sy: c.v / vmax };
+  });
+
+  // Tre componenti sono YCbCr, a meno che il file dica esplicitamente RGB (Adobe transform 0 o id "R", "G", "B")
+  const rgb = components.length === 3 && ((adobe && adobe.transform === 0) ||
+    components.map(c => String.fromCharCode(c.id)).join('') === 'RGB');
+  // Sottocampionamento (es. 4:2:0): per ogni colonna, il pixel più vicino della componente ridotta
+  const columns = planes.map(p => Int32Array.from({ length: width }, (_, x) => Math.floor(x * p.sx)));
+  const [pa, pb = pa, pc = pa] = planes;
+  const [ca, cb = ca, cc = ca] = columns;
+  const out = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    const ra = Math.floor(y * pa.sy) * pa.w, rb = Math.floor(y * pb.sy) * pb.w, rc = Math.floor(y * pc.sy) * pc.w;
+    for (let x = 0; x < width; x++) {
+      const a = pa.plane[ra + ca[x]], b = pb.plane[rb + cb[x]], c = pc.plane[rc + cc[x]];
+      const o = (y * width + x) * 4;
+      if (planes.length === 1) {
+        out[o] = out[o + 1] = out[o + 2] = a;
+      } else if (rgb) {
+        out[o] = a; out[o + 1] = b; out[o + 2] = c;
+      } else {
+        out[o]     = clamp(a + 1.402 * (c - 128));
+        out[o + 1] = clamp(a - 0.344136 * (b - 128) - 0.714136 * (c - 128));
+        out[o + 2] = clamp(a + 1.772 * (b - 128));
+      }
+      out[o + 3] = 255;
+    }
+  }
+  return { width, height, data: out };
+}
+
+/** DCT inversa 8×8 separabile (prima le righe, poi le colonne), in place su block */
+function idct(block, tmp) {
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      let sum = 0;
+      for (let u = 0; u < 8; u++) sum += COS[x * 8 + u] * block[y * 8 + u];
+      tmp[y * 8 + x] = sum;
+    }
+  }
+  for (let x = 0; x < 8; x++) {
+    for (let y = 0; y < 8; y++) {
+      let sum = 0;
+      for (let v = 0; v < 8; v++) sum += COS[y * 8 + v] * tmp[v * 8 + x];
+      block[y * 8 + x] = sum;
+    }
+  }
+}
+
+// ── JPEG: CODIFICA ───────────────────────────────────────────
+// JPEG baseline 4:4:4 con le tabelle di esempio dello standard (allegato K),
+// le quantizzazioni scalate per la qualità come fa libjpeg.
+
+const LUMA_QUANT = [
+  16, 11, 10, 16, 24, 40, 51, 61,    12, 12, 14, 19, 26, 58, 60, 55,
+  14, 13, 16, 24, 40, 57, 69, 56,    14, 17, 22, 29, 51, 87, 80, 62,
+  18, 22, 37, 56, 68, 109, 103, 77,  24, 35, 55, 64, 81, 104, 113, 92,
+  49, 64, 78, 87, 103, 121, 120, 101, 72, 92, 95, 98, 112, 100, 103, 99
+];
+const CHROMA_QUANT = [
+  17, 18, 24, 47, 99, 99, 99, 99,  18, 21, 26, 66, 99, 99, 99, 99,
+  24, 26, 56, 99, 99, 99, 99, 99,  47, 66, 99, 99, 99, 99, 99, 99,
+  ...new Array(32).fill(99)
+];
+
+// Tabelle di Huffman: quanti codici per lunghezza (1-16 bit), poi i simboli in ordine
+const STD_DC_LUMA   = { counts: [0, 1, 5, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] };
+const STD_DC_CHROMA = { counts: [0, 3, 1, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0, 0], symbols: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11] };
+const STD_AC_LUMA = {
+  counts: [0, 2, 1, 3, 3, 2, 4, 3, 5, 5, 4, 4, 0, 0, 1, 0x7d],
+  symbols: [
+    0x01, 0x02, 0x03, 0x00, 0x04, 0x11, 0x05, 0x12, 0x21, 0x31, 0x41, 0x06, 0x13, 0x51, 0x61, 0x07,
+    0x22, 0x71, 0x14, 0x32, 0x81, 0x91, 0xa1, 0x08, 0x23, 0x42, 0xb1, 0xc1, 0x15, 0x52, 0xd1, 0xf0,
+    0x24, 0x33, 0x62, 0x72, 0x82, 0x09, 0x0a, 0x16, 0x17, 0x18, 0x19, 0x1a, 0x25, 0x26, 0x27, 0x28,
+    0x29, 0x2a, 0x34, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48, 0x49,
+    0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68, 0x69,
+    0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x83, 0x84, 0x85, 0x86, 0x87, 0x88, 0x89,
+    0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5, 0xa6, 0xa7,
+    0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3, 0xc4, 0xc5,
+    0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda, 0xe1, 0xe2,
+    0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf1, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+const STD_AC_CHROMA = {
+  counts: [0, 2, 1, 2, 4, 4, 3, 4, 7, 5, 4, 4, 0, 1, 2, 0x77],
+  symbols: [
+    0x00, 0x01, 0x02, 0x03, 0x11, 0x04, 0x05, 0x21, 0x31, 0x06, 0x12, 0x41, 0x51, 0x07, 0x61, 0x71,
+    0x13, 0x22, 0x32, 0x81, 0x08, 0x14, 0x42, 0x91, 0xa1, 0xb1, 0xc1, 0x09, 0x23, 0x33, 0x52, 0xf0,
+    0x15, 0x62, 0x72, 0xd1, 0x0a, 0x16, 0x24, 0x34, 0xe1, 0x25, 0xf1, 0x17, 0x18, 0x19, 0x1a, 0x26,
+    0x27, 0x28, 0x29, 0x2a, 0x35, 0x36, 0x37, 0x38, 0x39, 0x3a, 0x43, 0x44, 0x45, 0x46, 0x47, 0x48,
+    0x49, 0x4a, 0x53, 0x54, 0x55, 0x56, 0x57, 0x58, 0x59, 0x5a, 0x63, 0x64, 0x65, 0x66, 0x67, 0x68,
+    0x69, 0x6a, 0x73, 0x74, 0x75, 0x76, 0x77, 0x78, 0x79, 0x7a, 0x82, 0x83, 0x84, 0x85, 0x86, 0x87,
+    0x88, 0x89, 0x8a, 0x92, 0x93, 0x94, 0x95, 0x96, 0x97, 0x98, 0x99, 0x9a, 0xa2, 0xa3, 0xa4, 0xa5,
+    0xa6, 0xa7, 0xa8, 0xa9, 0xaa, 0xb2, 0xb3, 0xb4, 0xb5, 0xb6, 0xb7, 0xb8, 0xb9, 0xba, 0xc2, 0xc3,
+    0xc4, 0xc5, 0xc6, 0xc7, 0xc8, 0xc9, 0xca, 0xd2, 0xd3, 0xd4, 0xd5, 0xd6, 0xd7, 0xd8, 0xd9, 0xda,
+    0xe2, 0xe3, 0xe4, 0xe5, 0xe6, 0xe7, 0xe8, 0xe9, 0xea, 0xf2, 0xf3, 0xf4, 0xf5, 0xf6, 0xf7, 0xf8,
+    0xf9, 0xfa
+  ]
+};
+
+/** Codici canonici di una tabella: simbolo → { code, length } */
+function huffmanCodes({ counts, symbols }) {
+  const codes = [];
+  let code = 0, k = 0;
+  counts.forEach((n, i) => {
+    for (let j = 0; j < n; j++) codes[symbols[k++]] = { code: code++, length: i + 1 };
+    code <<= 1;
+  });
+  return codes;
+}
+
+function scaledQuant(base, quality) {
+  const scale = quality < 50 ? 5000 / quality : 200 - quality * 2;
+  return base.map(v => Math.min(255, Math.max(1, Math.floor((v * scale + 50) / 100))));
+}
+
+/** Scrittore di bit con byte stuffing (un 0xFF nei dati è seguito da 0x00) */
+function bitWriter() {
+  const bytes = [];
+  let acc = 0, count = 0;
+  return {
+    write(value, length) {
+      for (let i = length - 1; i >= 0; i--) {
+        acc = (acc << 1) | ((value >> i) & 1);
+        if (++count === 8) {
+          bytes.push(acc);
+          if (acc === 0xff) bytes.push(0);
+          acc = 0;
+          count = 0;
+        }
+      }
+    },
+    /** Completa l'ultimo byte con bit a 1, come vuole lo standard */
+    finish() {
+      if (count) this.write((1 << (8 - count)) - 1, 8 - count);
+      return Buffer.from(bytes);
+    }
+  };
+}
+
+/** Categoria (numero di bit) e bit di un coefficiente, nella codifica "extend" del JPEG */
+function magnitude(v) {
+  const abs = Math.abs(v);
+  const size = abs ? 32 - Math.clz32(abs) : 0;
+  return { size, bits: v < 0 ? v + (1 << size) - 1 : v };
+}
+
+function encodeJpeg(pixels, width, height, quality) {
+  const quant = [scaledQuant(LUMA_QUANT, quality), scaledQuant(CHROMA_QUANT, quality)];
+  const tables = [STD_DC_LUMA, STD_AC_LUMA, STD_DC_CHROMA, STD_AC_CHROMA];
+  const [dcLuma, acLuma, dcChroma, acChroma] = tables.map(huffmanCodes);
+  const comps = [
+    { dc: dcLuma,   ac: acLuma,   q: quant[0], pred: 0 },
+    { dc: dcChroma, ac: acChroma, q: quant[1], pred: 0 },
+    { dc: dcChroma, ac: acChroma, q: quant[1], pred: 0 }
+  ];
+
+  const writer = bitWriter();
+  const block = new Float64Array(64);
+  const tmp   = new Float64Array(64);
+  const emit  = ({ code, length }) => writer.write(code, length);
+
+  for (let by = 0; by < height; by += 8) {
+    for (let bx = 0; bx < width; bx += 8) {
+      comps.forEach((comp, ci) => {
+        // Blocco 8×8 della componente (i bordi fuori immagine ripetono l'ultimo pixel)
+        for (let y = 0; y < 8; y++) {
+          for (let x = 0; x < 8; x++) {
+            const o = (Math.min(by + y, height - 1) * width + Math.min(bx + x, width - 1)) * 4;
+            const r = pixels[o], g = pixels[o + 1], b = pixels[o + 2];
+            block[y * 8 + x] = ci === 0 ? 0.299 * r + 0.587 * g + 0.114 * b - 128
+              : ci === 1 ? -0.168736 * r - 0.331264 * g + 0.5 * b
+              : 0.5 * r - 0.418688 * g - 0.081312 * b;
+          }
+        }
+        fdct(block, tmp);
+
+        const dc = Math.round(block[0] / comp.q[0]);
+        const diff = magnitude(dc - comp.pred);
+        comp.pred = dc;
+        emit(comp.dc[diff.size]);
+        writer.write(diff.bits, diff.size);
+
+        let run = 0;
+        for (let k = 1; k < 64; k++) {
+          const v = Math.round(block[ZIGZAG[k]] / comp.q[ZIGZAG[k]]);
+          if (!v) { run++; continue; }
+          while (run > 15) { emit(comp.ac[0xf0]); run -= 16; }
+          const m = magnitude(v);
+          emit(comp.ac[(run << 4) | m.size]);
+          writer.write(m.bits, m.size);
+          run = 0;
+        }
+        if (run) emit(comp.ac[0x00]); // EOB
+      });
+    }
+  }
+
+  const segment = (marker, data) => {
+    const head = Buffer.from([0xff, marker, 0, 0]);
+    head.writeUInt16BE(data.length + 2, 2);
+    return Buffer.concat([head, Buffer.from(data)]);
+  };
+  const dqt = quant.flatMap((q, id) => [id, ...ZIGZAG.map(i => q[i])]);
+  const dht = tables.flatMap((t, i) => [((i & 1) << 4) | (i >> 1), ...t.counts, ...t.symbols]);
+  const sof = [8, height >> 8, height & 255, width >> 8, width & 255, 3,
+    1, 0x11, 0, 2, 0x11, 1, 3, 0x11, 1];
+  const sos = [3, 1, 0x00, 2, 0x11, 3, 0x11, 0, 63, 0];
+  return Buffer.concat([
+    Buffer.from([0xff, 0xd8]),
+    segment(0xe0, [0x4a, 0x46, 0x49, 0x46, 0, 1, 1, 0, 0, 1, 0, 1, 0, 0]), // JFIF
+    segment(0xdb, dqt),
+    segment(0xc0, sof),
+    segment(0xc4, dht),
+    segment(0xda, sos),
+    writer.finish(),
+    Buffer.from([0xff, 0xd9])
+  ]);
+}
+
+/** DCT diretta 8×8 (trasposta di idct), in place su block */
+function fdct(block, tmp) {
+  for (let y = 0; y < 8; y++) {
+    for (let u = 0; u < 8; u++) {
+      let sum = 0;
+      for (let x = 0; x < 8; x++) sum += COS[x * 8 + u] * block[y * 8 + x];
+      tmp[y * 8 + u] = sum;
+    }
+  }
+  for (let u = 0; u < 8; u++) {
+    for (let v = 0; v < 8; v++) {
+      let sum = 0;
+      for (let y = 0; y < 8; y++) sum += COS[y * 8 + v] * tmp[y * 8 + u];
+      block[v * 8 + u] = sum;
+    }
+  }
+}
+
+// Avviato da thumbnailsInWorker: fa il lavoro e restituisce il risultato al thread principale
+if (!isMainThread && workerData?.thumbnails) {
+  parentPort.postMessage(makeThumbnails(Buffer.from(workerData.thumbnails)));
+}
+
+module.exports = {
+  IMAGE_SIZES, MAX_IMAGE_PIXELS, MAX_IMAGE_SIDE, detectImageFormat, decodeImage, makeThumbnails, thumbnailsInWorker
+};
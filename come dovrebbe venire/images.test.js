@@ -0,0 +1,362 @@
+// ============================================================
+//  TEST - Immagini: decodifica di PNG e JPEG, file danneggiati
+//  Si esegue con: node --test
+//  Le immagini di prova sono state prodotte da un altro
+//  programma (libvips): quadrati 32×32 divisi in quattro,
+//  rosso | verde
+//  ------+------
+//  blu   | bianco (trasparente nelle varianti con alfa)
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const zlib   = require('zlib');
+const { MAX_IMAGE_SIDE, detectImageFormat, decodeImage, makeThumbnails } = require('./images');
+
+const FIXTURES = {
+  jpegProgressive: [
+    '/9j/2wBDAAMCAgMCAgMDAwMEAwMEBQgFBQQEBQoHBwYIDAoMDAsKCwsNDhIQDQ4RDgsLEBYQERMUFRUVDA8XGBYU',
+    'GBIUFRT/2wBDAQMEBAUEBQkFBQkUDQsNFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQU',
+    'FBQUFBQUFBT/wgARCAAgACADASIAAhEBAxEB/8QAFwABAQEBAAAAAAAAAAAAAAAAAAcICf/EABgBAAMBAQAAAAAA',
+    'AAAAAAAAAAYICQUH/9oADAMBAAIQAxAAAAGcgFamxgJmPl4UZ7n0tCrbn//EABQQAQAAAAAAAAAAAAAAAAAAAED/',
+    '2gAIAQEAAQUCB//EABQRAQAAAAAAAAAAAAAAAAAAACD/2gAIAQMBAT8BH//EABQRAQAAAAAAAAAAAAAAAAAAACD/',
+    '2gAIAQIBAT8BH//EABQQAQAAAAAAAAAAAAAAAAAAAED/2gAIAQEABj8CB//EABQQAQAAAAAAAAAAAAAAAAAAAED/',
+    '2gAIAQEAAT8hB//aAAwDAQACAAMAAAAQ/wDQvP/EABQRAQAAAAAAAAAAAAAAAAAAACD/2gAIAQMBAT8QH//EABQR',
+    'AQAAAAAAAAAAAAAAAAAAACD/2gAIAQIBAT8QH//EABQQAQAAAAAAAAAAAAAAAAAAAED/2gAIAQEAAT8QB//Z'
+  ].join(''),
+  jpegBaseline420: [
+    '/9j/2wBDAAMCAgMCAgMDAwMEAwMEBQgFBQQEBQoHBwYIDAoMDAsKCwsNDhIQDQ4RDgsLEBYQERMUFRUVDA8XGBYU',
+    'GBIUFRT/2wBDAQMEBAUEBQkFBQkUDQsNFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQU',
+    'FBQUFBQUFBT/wAARCAAgACADASIAAhEBAxEB/8QAFwABAQEBAAAAAAAAAAAAAAAAAAgJCv/EABQQAQAAAAAAAAAA',
+    'AAAAAAAAAAD/xAAYAQADAQEAAAAAAAAAAAAAAAAHCQoGCP/EABQRAQAAAAAAAAAAAAAAAAAAAAD/2gAMAwEAAhED',
+    'EQA/AJ0AAw1NYwAJJj2XgCjN3K6WwCrG4f/Z'
+  ].join(''),
+  jpegGray: [
+    '/9j/2wBDAAMCAgMCAgMDAwMEAwMEBQgFBQQEBQoHBwYIDAoMDAsKCwsNDhIQDQ4RDgsLEBYQERMUFRUVDA8XGBYU',
+    'GBIUFRT/wAALCAAgACABAREA/8QAFwABAQEBAAAAAAAAAAAAAAAAAAkIBP/EABQQAQAAAAAAAAAAAAAAAAAAAAD/',
+    '2gAIAQEAAD8A5BvsYEG+xKcW7ERBbsf/2Q=='
+  ].join(''),
+  jpegCmyk: [
+    '/9j/7gAOQWRvYmUAZAAAAAAA/9sAQwADAgIDAgIDAwMDBAMDBAUIBQUEBAUKBwcGCAwKDAwLCgsLDQ4SEA0OEQ4L',
+    'CxAWEBETFBUVFQwPFxgWFBgSFBUU/8AAFAgAIAAgBEMRAE0RAFkRAEsRAP/EABcAAQEBAQAAAAAAAAAAAAAAAAAK',
+    'CQj/xAAUEAEAAAAAAAAAAAAAAAAAAAAA/9oADgRDAE0AWQBLAAA/ANU2VTKpqmAOX1VAADqBKuAA5fVUAAMJE+6q',
+    'gAFPaggABMIn3AAU9qCAAH//2Q=='
+  ].join(''),
+  jpegExif6: [
+    '/9j/4QC8RXhpZgAASUkqAAgAAAAGABIBAwABAAAABgAAABoBBQABAAAAVgAAABsBBQABAAAAXgAAACgBAwABAAAA',
+    'AgAAABMCAwABAAAAAQAAAGmHBAABAAAAZgAAAAAAAAA4YwAA6AMAADhjAADoAwAABgAAkAcABAAAADAyMTABkQcA',
+    'BAAAAAECAwAAoAcABAAAADAxMDABoAMAAQAAAP//AAACoAQAAQAAACAAAAADoAQAAQAAABAAAAAAAAAA/+IB8ElD',
+    'Q19QUk9GSUxFAAEBAAAB4GxjbXMEIAAAbW50clJHQiBYWVogB+IAAwAUAAkADgAdYWNzcE1TRlQAAAAAc2F3c2N0',
+    'cmwAAAAAAAAAAAAAAAAAAPbWAAEAAAAA0y1oYW5keem/Vlo+AbaDI4VVRvdPqgAAAAAAAAAAAAAAAAAAAAAAAAAA',
+    'AAAAAAAAAAAAAAAKZGVzYwAAAPwAAAAkY3BydAAAASAAAAAid3RwdAAAAUQAAAAUY2hhZAAAAVgAAAAsclhZWgAA',
+    'AYQAAAAUZ1hZWgAAAZgAAAAUYlhZWgAAAawAAAAUclRSQwAAAcAAAAAgZ1RSQwAAAcAAAAAgYlRSQwAAAcAAAAAg',
+    'bWx1YwAAAAAAAAABAAAADGVuVVMAAAAIAAAAHABzAFIARwBCbWx1YwAAAAAAAAABAAAADGVuVVMAAAAGAAAAHABD',
+    'AEMAMAAAWFlaIAAAAAAAAPbWAAEAAAAA0y1zZjMyAAAAAAABDD8AAAXd///zJgAAB5AAAP2S///7of///aIAAAPc',
+    'AADAcVhZWiAAAAAAAABvoAAAOPIAAAOPWFlaIAAAAAAAAGKWAAC3iQAAGNpYWVogAAAAAAAAJKAAAA+FAAC2xHBh',
+    'cmEAAAAAAAMAAAACZmkAAPKnAAANWQAAE9AAAApb/9sAQwADAgIDAgIDAwMDBAMDBAUIBQUEBAUKBwcGCAwKDAwL',
+    'CgsLDQ4SEA0OEQ4LCxAWEBETFBUVFQwPFxgWFBgSFBUU/9sAQwEDBAQFBAUJBQUJFA0LDRQUFBQUFBQUFBQUFBQU',
+    'FBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQUFBQU/8AAEQgAEAAgAwEiAAIRAQMRAf/EABcAAQEBAQAA',
+    'AAAAAAAAAAAAAAAJBwj/xAAcEAACAQUBAAAAAAAAAAAAAAAAAQIRElFSkRP/xAAWAQEBAQAAAAAAAAAAAAAAAAAI',
+    'Bwn/xAAcEQABBAMBAAAAAAAAAAAAAAAAFxhko2Xi46L/2gAMAwEAAhEDEQA/AOdKrKFVlGB3PLFzyy4Nmy9HYRzh',
+    'cXdyKh2S1fBZLV8KK+cNY8HnDWPAPpnL8bmcSPz69z//2Q=='
+  ].join(''),
+  pngPalette2bit: [
+    'iVBORw0KGgoAAAANSUhEUgAAACAAAAAgAgMAAAAOFJJnAAAADFBMVEVMaXEAAP//AAAA/wDXRJdyAAAAAXRSTlMA',
+    'QObYZgAAAAlwSFlzAAAD6AAAA+gBtXtSawAAAB5JREFUeJxjWLVq1ar/////ZxgkjNDQ0FAGEBgcDACmsX+BDyBl',
+    'pQAAAABJRU5ErkJggg=='
+  ].join(''),
+  pngInterlaced: [
+    'iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAAEEfUpiAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAgUlEQVR4nO2U',
+    '4QqAIAwG7/1f+gshihy6H1OWMEMh0/O2hgjUOu/TTdzvrbURO7GSIcv6MjVa0H1/0OZMRgviDvpBFCzPg/yo5lHq',
+    'PADz/SZpbpY5D6D0v6ACkA8gvRIpAPkAeYR4pcYqWSVACVAC2ipA7Hz3ognfZJQAJaAS0E6BC7G493k33DipAAAA',
+    'AElFTkSuQmCC'
+  ].join(''),
+  png16: [
+    'iVBORw0KGgoAAAANSUhEUgAAACAAAAAgEAYAAAAj6qa3AAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAWElEQVR4nO3Q',
+    '0QkAIAwD0dt/6RMEV7CgFyjJbx8KoFM9fgZAAARgAAZAAARgAAZAAARgAAZAAPwAMPv+ydn3eycAAzAAAiAAAzAA',
+    'AiAAAzAAAiAAA/B1gAV/J+8AdeiFyQAAAABJRU5ErkJggg=='
+  ].join(''),
+  pngGray: [
+    'iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAAAAABWESUoAAAACXBIWXMAAAPoAAAD6AG1e1JrAAAAIElEQVR4nGOo',
+    'QQO30ADDqIIRpSASDfxHA6MKIGCEKAAABnOuH2Vz13cAAAAASUVORK5CYII='
+  ].join('')
+};
+
+const RED = [255, 0, 0], GREEN = [0, 255, 0], BLUE = [0, 0, 255], WHITE = [255, 255, 255];
+
+function fixture(name) {
+  return Buffer.from(FIXTURES[name], 'base64');
+}
+
+/** Il pixel (x, y) come [r, g, b, a] */
+function pixel(image, x, y) {
+  const o = (y * image.width + x) * 4;
+  return Array.from(image.data.subarray(o, o + 4));
+}
+
+/** Il pixel ha il colore atteso, con una tolleranza per le perdite del JPEG */
+function assertColor(image, x, y, rgb, tolerance = 0) {
+  const [r, g, b] = pixel(image, x, y);
+  const off = Math.max(Math.abs(r - rgb[0]), Math.abs(g - rgb[1]), Math.abs(b - rgb[2]));
+  assert.ok(off <= tolerance, `pixel (${x}, ${y}) = ${[r, g, b]}, atteso ${rgb}`);
+}
+
+/** Il centro di ognuno dei quattro quadranti */
+function assertQuadrants(image, colors, tolerance) {
+  [[8, 8], [24, 8], [8, 24], [24, 24]].forEach(([x, y], i) => assertColor(image, x, y, colors[i], tolerance));
+}
+
+// ── PNG COSTRUITI A MANO ─────────────────────────────────────
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+  const out = Buffer.alloc(body.length + 8);
+  out.writeUInt32BE(data.length, 0);
+  body.copy(out, 4);
+  out.writeUInt32BE(zlib.crc32(body), body.length + 4);
+  return out;
+}
+
+/** PNG RGBA 8 bit; raw sono le righe già filtrate (se manca: tutte a zero, filtro 0) */
+function makePng(width, height, raw = Buffer.alloc((width * 4 + 1) * height)) {
+  const ihdr = Buffer.alloc(13);
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  ihdr[8] = 8; ihdr[9] = 6;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr), chunk('IDAT', zlib.deflateSync(raw)), chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/** Cambia le dimensioni dichiarate nell'IHDR (ricalcolando il CRC) */
+function withSize(png, width, height) {
+  const ihdr = Buffer.from(png.subarray(16, 29));
+  ihdr.writeUInt32BE(width, 0);
+  ihdr.writeUInt32BE(height, 4);
+  return Buffer.concat([png.subarray(0, 8), chunk('IHDR', ihdr), png.subarray(33)]);
+}
+
+/** PNG opaco tutto di un colore */
+function solidPng(width, height, rgb) {
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) raw.set([...rgb, 255], y * (width * 4 + 1) + 1 + x * 4);
+  }
+  return makePng(width, height, raw);
+}
+
+/** I segmenti di un JPEG fino allo scan: [{ marker, offset, length }] e dove inizia lo scan */
+function jpegSegments(buf) {
+  const segments = [];
+  let offset = 2;
+  for (;;) {
+    const marker = buf[offset + 1];
+    const length = buf.readUInt16BE(offset + 2);
+    segments.push({ marker, offset, length });
+    offset += 2 + length;
+    if (marker === 0xda) return { segments, scan: offset };
+  }
+}
+
+// ── FORMATO ──────────────────────────────────────────────────
+
+test('riconosce PNG e JPEG dai primi byte', () => {
+  assert.strictEqual(detectImageFormat(fixture('pngGray')).ext, 'png');
+  assert.strictEqual(detectImageFormat(fixture('jpegBaseline420')).ext, 'jpg');
+  assert.strictEqual(detectImageFormat(Buffer.from('GIF89a')), null);
+  assert.strictEqual(detectImageFormat(Buffer.alloc(0)), null);
+  assert.strictEqual(decodeImage(Buffer.from('GIF89a')).unsupported, true);
+});
+
+// ── PNG ──────────────────────────────────────────────────────
+
+test('PNG con palette a 2 bit e trasparenza (tRNS)', () => {
+  const image = decodeImage(fixture('pngPalette2bit'));
+  assertColor(image, 8, 8, RED);
+  assertColor(image, 24, 8, GREEN);
+  assertColor(image, 8, 24, BLUE);
+  assert.strictEqual(pixel(image, 8, 8)[3], 255);
+  assert.strictEqual(pixel(image, 24, 24)[3], 0);
+});
+
+test('PNG interlacciato (Adam7)', () => {
+  const image = decodeImage(fixture('pngInterlaced'));
+  assert.strictEqual(image.width, 32);
+  assertQuadrants(image, [RED, GREEN, BLUE, WHITE]);
+  assert.strictEqual(pixel(image, 24, 24)[3], 0);
+  // Ogni passata riempie i suoi pixel: nessun bordo tra un quadrante e l'altro rimane vuoto
+  assert.deepStrictEqual(pixel(image, 15, 15), [255, 0, 0, 255]);
+  assert.deepStrictEqual(pixel(image, 16, 15), [0, 255, 0, 255]);
+});
+
+test('PNG a 16 bit per canale', () => {
+  const image = decodeImage(fixture('png16'));
+  assertQuadrants(image, [RED, GREEN, BLUE, WHITE]);
+  assert.strictEqual(pixel(image, 24, 24)[3], 0);
+});
+
+test('PNG in scala di grigi', () => {
+  const image = decodeImage(fixture('pngGray'));
+  const [r, g, b, a] = pixel(image, 8, 8);
+  assert.ok(r === g && g === b && a === 255);
+  assert.deepStrictEqual(pixel(image, 24, 24), [255, 255, 255, 255]);
+});
+
+// ── JPEG ─────────────────────────────────────────────────────
+
+test('JPEG baseline con crominanza dimezzata (4:2:0)', () => {
+  const image = decodeImage(fixture('jpegBaseline420'));
+  assert.deepStrictEqual([image.width, image.height, image.orientation], [32, 32, 1]);
+  assertQuadrants(image, [RED, GREEN, BLUE, WHITE], 48);
+});
+
+test('JPEG progressivo', () => {
+  const image = decodeImage(fixture('jpegProgressive'));
+  assertQuadrants(image, [RED, GREEN, BLUE, WHITE], 48);
+});
+
+test('JPEG in scala di grigi', () => {
+  const image = decodeImage(fixture('jpegGray'));
+  const gray = decodeImage(fixture('pngGray'));
+  [[8, 8], [24, 8], [8, 24], [24, 24]].forEach(([x, y]) => assertColor(image, x, y, pixel(gray, x, y), 8));
+});
+
+test('JPEG CMYK: non supportato (415), non danneggiato', () => {
+  const result = decodeImage(fixture('jpegCmyk'));
+  assert.strictEqual(result.unsupported, true);
+  assert.match(result.error, /CMYK/);
+});
+
+test("l'orientamento EXIF viene letto", () => {
+  const image = decodeImage(fixture('jpegExif6'));
+  assert.deepStrictEqual([image.width, image.height, image.orientation], [32, 16, 6]);
+});
+
+test('JPEG con marker di restart (RSTn)', () => {
+  // Due JPEG 8×8 (una sola MCU ciascuno) uniti in un 16×8 con un restart dopo ogni MCU:
+  // senza azzerare la predizione del DC al marker, la seconda metà uscirebbe del colore sbagliato
+  const [a, b] = [RED, BLUE].map(rgb => makeThumbnails(solidPng(8, 8, rgb)).thumbnails[0].data);
+  const { segments } = jpegSegments(a);
+  const sos = segments[segments.length - 1].offset;
+  const sof = segments.find(s => s.marker === 0xc0).offset;
+
+  const header = Buffer.from(a.subarray(0, sos));
+  header.writeUInt16BE(16, sof + 7); // Larghezza
+  const jpeg = Buffer.concat([
+    header,
+    Buffer.from([0xff, 0xdd, 0, 4, 0, 1]), // DRI: restart ogni MCU
+    a.subarray(sos, a.length - 2),          // Scan della prima (senza EOI)
+    Buffer.from([0xff, 0xd0]),
+    b.subarray(jpegSegments(b).scan)        // Dati della seconda, con il suo EOI
+  ]);
+
+  const image = decodeImage(jpeg);
+  assert.strictEqual(image.width, 16);
+  assertColor(image, 3, 4, RED, 24);
+  assertColor(image, 12, 4, BLUE, 24);
+});
+
+// ── MINIATURE ────────────────────────────────────────────────
+
+test('le miniature opache sono JPEG, quelle trasparenti PNG', () => {
+  const opaque = makeThumbnails(fixture('jpegBaseline420'));
+  assert.strictEqual(opaque.ext, 'jpg');
+  assert.deepStrictEqual(opaque.thumbnails.map(t => t.size), [64, 256, 512]);
+  // Più piccola delle miniature: non viene ingrandita
+  const back = decodeImage(opaque.thumbnails[0].data);
+  assert.deepStrictEqual([back.width, back.height], [32, 32]);
+  assertQuadrants(back, [RED, GREEN, BLUE, WHITE], 48);
+
+  const transparent = makeThumbnails(fixture('pngInterlaced'));
+  assert.strictEqual(transparent.ext, 'png');
+  const png = decodeImage(transparent.thumbnails[0].data);
+  assertColor(png, 8, 8, RED);
+  assertColor(png, 24, 8, GREEN);
+  assertColor(png, 8, 24, BLUE);
+  assert.strictEqual(pixel(png, 24, 24)[3], 0);
+});
+
+test("l'orientamento EXIF viene applicato alle miniature", () => {
+  // La foto è 32×16, la miniatura il quadrato centrale 16×16 (rosso | verde sopra, blu | bianco sotto).
+  // Orientamento 6: va ruotata di 90° in senso orario, quindi il blu in basso a sinistra finisce in alto a sinistra
+  const thumb = decodeImage(makeThumbnails(fixture('jpegExif6')).thumbnails[0].data);
+  assert.deepStrictEqual([thumb.width, thumb.height], [16, 16]);
+  [[3, 3, BLUE], [12, 3, RED], [3, 12, WHITE], [12, 12, GREEN]].forEach(([x, y, rgb]) => assertColor(thumb, x, y, rgb, 48));
+});
+
+// ── FILE DANNEGGIATI E DIMENSIONI ────────────────────────────
+
+test('un file troncato è danneggiato, non fa cadere il server', () => {
+  ['pngInterlaced', 'png16', 'jpegBaseline420', 'jpegProgressive'].forEach(name => {
+    const buf = fixture(name);
+    [buf.length - 2, Math.floor(buf.length / 2), 20, 9].forEach(length => {
+      const result = decodeImage(buf.subarray(0, length));
+      // Un JPEG troncato nello scan si decodifica lo stesso (i dati mancanti valgono zero)
+      if (!result.error) assert.strictEqual(result.width, 32, `${name} troncato a ${length}`);
+      else assert.ok(!result.unsupported, `${name} troncato a ${length}`);
+    });
+  });
+  assert.ok(decodeImage(Buffer.concat([fixture('pngGray').subarray(0, 8), Buffer.from('spazzatura')])).error);
+});
+
+test('dimensioni eccessive: rifiutate prima di allocare i pixel', () => {
+  // Un IHDR che dichiara 100000×100000 (40 GB decodificati): basta l'intestazione per dire di no
+  [[100000, 100000], [MAX_IMAGE_SIDE + 1, 1], [1, 20 * 1024 * 1024], [5000, 5000]].forEach(([w, h]) => {
+    const result = decodeImage(withSize(makePng(1, 1), w, h));
+    assert.strictEqual(result.unsupported, true, `${w}×${h}`);
+    assert.match(result.error, /troppo grande/);
+  });
+
+  // Lo stesso per il frame di un JPEG
+  const jpeg = Buffer.from(fixture('jpegBaseline420'));
+  const sof = jpegSegments(jpeg).segments.find(s => s.marker === 0xc0).offset;
+  jpeg.writeUInt16BE(65535, sof + 5);
+  jpeg.writeUInt16BE(65535, sof + 7);
+  assert.strictEqual(decodeImage(jpeg).unsupported, true);
+
+  const empty = decodeImage(withSize(makePng(1, 1), 0, 10));
+  assert.ok(empty.error && !empty.unsupported);
+});
+
+test('bomba di decompressione: i dati oltre quelli attesi non vengono decompressi', () => {
+  // 16×16 pixel, ma l'IDAT si gonfia fino a 64 MB
+  const result = decodeImage(makePng(16, 16, Buffer.alloc(64 * 1024 * 1024)));
+  assert.ok(result.error && !result.unsupported);
+});
+
+test('JPEG senza tabelle di quantizzazione o di Huffman', () => {
+  const jpeg = fixture('jpegBaseline420');
+  const { segments } = jpegSegments(jpeg);
+  [0xdb, 0xc4].forEach(marker => {
+    const kept = segments.filter(s => s.marker !== marker);
+    const stripped = Buffer.concat([
+      jpeg.subarray(0, 2),
+      ...kept.map(s => jpeg.subarray(s.offset, s.offset + 2 + s.length)),
+      jpeg.subarray(jpegSegments(jpeg).scan)
+    ]);
+    const result = decodeImage(stripped);
+    assert.ok(result.error && !result.unsupported, `senza ${marker.toString(16)}`);
+  });
+});
+
+test('byte alterati a caso: sempre un risultato o un errore, mai un crash', () => {
+  // Generatore deterministico: se un caso fallisce, si ripete uguale
+  let seed = 42;
+  const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+
+  Object.keys(FIXTURES).forEach(name => {
+    const original = fixture(name);
+    for (let i = 0; i < 150; i++) {
+      const buf = Buffer.from(original);
+      const changes = 1 + Math.floor(random() * 4);
+      for (let c = 0; c < changes; c++) {
+        // Non si toccano i primi 3 byte: altrimenti il formato non viene nemmeno riconosciuto
+        buf[3 + Math.floor(random() * (buf.length - 3))] = Math.floor(random() * 256);
+      }
+      const result = decodeImage(buf);
+      assert.ok(result.error || (result.width > 0 && result.data.length === result.width * result.height * 4),
+        `${name}, caso ${i}`);
+    }
+  });
+});
@@ -0,0 +1,98 @@
+// ============================================================
+//  LIVE - Aggiornamenti in tempo reale (Server-Sent Events)
+//  Ogni scheda aperta tiene una connessione GET /api/live che
+//  resta aperta: il server ci scrive un evento per ogni modifica
+//  (playlist creata, brano aggiunto, profilo cambiato, …).
+//  - Ogni evento arriva solo a chi può vederlo (visibleTo)
+//  - Gli ultimi eventi restano in memoria: chi si riconnette con
+//    Last-Event-ID riceve quelli che ha perso; se sono troppo
+//    vecchi (o il server è ripartito) riceve "resync" e ricarica tutto
+//  Formato SSE: righe "id:", "event:", "data:" e una riga vuota.
+// ============================================================
+
+const crypto = require('crypto');
+
+const HEARTBEAT_MS = 25 * 1000; // Commento periodico: tiene viva la connessione attraverso i proxy
+const RETRY_MS     = 3000;      // Dopo quanto il browser ritenta se la connessione cade
+
+/**
+ * Crea l'hub degli eventi.
+ * bufferSize: quanti eventi recenti tenere per chi si riconnette
+ */
+function createLiveHub({ bufferSize = 500 } = {}) {
+  // Gli id sono "<avvio>-<numero>": dopo un riavvio del server un vecchio
+  // Last-Event-ID non può essere scambiato per uno nuovo
+  const bootId  = crypto.randomBytes(4).toString('hex');
+  const clients = new Set(); // { res, user, sessionId }
+  const buffer  = [];        // { seq, type, data, visibleTo }
+  let seq = 0;
+
+  function send(res, event) {
+    res.write(`id: ${bootId}-${event.seq}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  }
+
+  /** Gli eventi persi dopo lastEventId; null se non si possono più recuperare */
+  function missedSince(lastEventId) {
+    const [boot, n] = String(lastEventId).split('-');
+    const last = Number(n);
+    if (boot !== bootId || !Number.isInteger(last) || last > seq) return null;
+    if (last < seq && (!buffer.length || buffer[0].seq > last + 1)) return null; // Usciti dal buffer
+    return buffer.filter(e => e.seq > last);
+  }
+
+  return {
+    /**
+     * Apre lo stream per una richiesta già autenticata.
+     * lastEventId: l'ultimo evento ricevuto (header Last-Event-ID o query), per recuperare i persi
+     */
+    connect(req, res, { user, sessionId, lastEventId }) {
+      res.set({
+        'Content-Type':      'text/event-stream; charset=utf-8',
+        'Cache-Control':     'no-cache',
+        'Connection':        'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx: non trattenere gli eventi nel buffer
+      });
+      res.flushHeaders();
+      res.write(`retry: ${RETRY_MS}\n\n`);
+
+      if (lastEventId) {
+        const missed = missedSince(lastEventId);
+        if (missed) missed.filter(e => e.visibleTo(user)).forEach(e => send(res, e));
+        else        send(res, { seq, type: 'resync', data: {} });
+      } else {
+        // Prima connessione: il client ha appena caricato tutto, gli serve solo l'id di partenza
+        send(res, { seq, type: 'ready', data: {} });
+      }
+
+      const client    = { res, user, sessionId };
+      const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+      clients.add(client);
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+      });
+    },
+
+    /**
+     * Invia un evento a tutti i client che possono vederlo.
+     * visibleTo(user) → true se l'utente può ricevere l'evento
+     */
+    publish(type, data, visibleTo = () => true) {
+      const event = { seq: ++seq, type, data, visibleTo };
+      buffer.push(event);
+      if (buffer.length > bufferSize) buffer.shift();
+      clients.forEach(c => {
+        if (visibleTo(c.user)) send(c.res, event);
+      });
+    },
+
+    /** Chiude gli stream di una sessione (es. dopo il logout) */
+    disconnect(sessionId) {
+      clients.forEach(c => {
+        if (c.sessionId === sessionId) c.res.end();
+      });
+    }
+  };
+}
+
+module.exports = { createLiveHub };
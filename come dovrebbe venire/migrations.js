@@ -0,0 +1,108 @@
+// ============================================================
+//  MIGRAZIONI DELLO SCHEMA DEL DATABASE
+//  Ogni migrazione porta i dati dalla versione precedente alla sua.
+//  All'avvio lo storage applica, in ordine, quelle con versione
+//  maggiore di meta.schemaVersion: così i nuovi campi arrivano
+//  anche nei DB esistenti senza modificare db.json a mano.
+//
+//  Per aggiungere un campo: nuova voce in fondo con version + 1.
+//  Le migrazioni già rilasciate non vanno più modificate.
+// ============================================================
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Collezioni base: users, playlists, sessions',
+    up(db) {
+      db.users     = db.users     || [];
+      db.playlists = db.playlists || [];
+      db.sessions  = db.sessions  || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Playlist: visibilità (default public) e collaboratori',
+    up(db) {
+      db.playlists.forEach(pl => {
+        pl.visibility = pl.visibility || 'public';
+        pl.members    = pl.members    || [];
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Follower: collezione follows',
+    up(db) {
+      db.follows = db.follows || [];
+    }
+  },
+  {
+    version: 4,
+    description: 'Mi piace su playlist e canzoni: collezione likes',
+    up(db) {
+      db.likes = db.likes || [];
+    }
+  },
+  {
+    version: 5,
+    description: 'Cronologia degli ascolti: collezione plays',
+    up(db) {
+      db.plays = db.plays || [];
+    }
+  },
+  {
+    version: 6,
+    description: 'Cestino di playlist e canzoni eliminate: collezione trash',
+    up(db) {
+      db.trash = db.trash || [];
+    }
+  },
+  {
+    version: 7,
+    description: 'Link di condivisione delle playlist: collezione shareLinks',
+    up(db) {
+      db.shareLinks = db.shareLinks || [];
+    }
+  },
+  {
+    version: 8,
+    description: 'Cronologia delle modifiche alle playlist: collezione revisions',
+    up(db) {
+      db.revisions = db.revisions || [];
+    }
+  },
+  {
+    version: 9,
+    description: 'Commenti alle playlist e reazioni alle canzoni: collezioni comments e reactions',
+    up(db) {
+      db.comments  = db.comments || [];
+      db.reactions = db.reactions || [];
+    }
+  },
+  {
+    version: 10,
+    description: 'Notifiche per utente: collezione notifications',
+    up(db) {
+      db.notifications = db.notifications || [];
+    }
+  }
+];
+
+/**
+ * Applica al DB (in place) le migrazioni non ancora eseguite.
+ * Restituisce l'elenco di quelle applicate (vuoto se lo schema era già aggiornato).
+ */
+function migrate(db) {
+  db.meta = db.meta || { schemaVersion: 0 };
+  const pending = migrations.filter(m => m.version > db.meta.schemaVersion);
+  pending.forEach(m => {
+    m.up(db);
+    db.meta.schemaVersion = m.version;
+  });
+  return pending;
+}
+
+/** Versione dello schema a cui porta l'ultima migrazione */
+const LATEST_VERSION = migrations[migrations.length - 1].version;
+
+module.exports = { migrate, LATEST_VERSION };
@@ -0,0 +1,70 @@
+// ============================================================
+//  NOTIFICHE - Cosa è successo ai contenuti di un utente
+//  Ogni notifica appartiene a chi la riceve (userId) e dice chi
+//  ha fatto cosa (actorId, type) e su cosa (playlist, canzone,
+//  commento). Il testo lo compone il client: qui ci sono solo i dati.
+//  I tipi sono raggruppati in categorie (KINDS): l'utente può
+//  spegnere una categoria dalle impostazioni.
+//  Le azioni che si possono disfare ("mi piace", follow) non
+//  accumulano doppioni: rifarle rinfresca la notifica non letta,
+//  disfarle la toglie finché nessuno l'ha letta.
+// ============================================================
+
+// Categoria di ogni tipo di notifica
+const TYPES = {
+  'user.followed':   'follow',        // Qualcuno ha iniziato a seguirti
+  'comment.created': 'comment',       // Un commento su una tua playlist
+  'comment.replied': 'comment',       // Una risposta a un tuo commento
+  'member.added':    'collaboration', // Ti hanno aggiunto ai collaboratori di una playlist
+  'member.role':     'collaboration', // …o cambiato ruolo
+  'member.removed':  'collaboration', // …o tolto
+  'playlist.liked':  'like',          // Hanno salvato una tua playlist
+  'song.liked':      'like',          // "Mi piace" a una canzone che hai aggiunto
+  'song.reacted':    'like'           // Una reazione a una canzone che hai aggiunto
+};
+
+const KINDS = [...new Set(Object.values(TYPES))];
+
+const MAX_NOTIFICATIONS = 200; // Per utente: oltre si perdono le più vecchie
+
+/** Le categorie accese e spente di user (quelle mai toccate sono accese) */
+function prefsOf(user) {
+  return Object.fromEntries(KINDS.map(kind => [kind, user.notificationPrefs?.[kind] !== false]));
+}
+
+// Stessa azione della stessa persona sulla stessa cosa (l'emoji di una reazione non conta)
+const sameAction = (a, b) => a.userId === b.userId && a.type === b.type && a.actorId === b.actorId
+  && (a.playlistId || null) === (b.playlistId || null) && (a.songId || null) === (b.songId || null)
+  && (a.commentId || null) === (b.commentId || null);
+
+/**
+ * Aggiunge la notifica all'elenco (in place) se chi la riceve non ha spento la sua categoria.
+ * Se c'è già la stessa azione non letta, la aggiorna e la riporta in cima.
+ * Restituisce la notifica salvata, o null se non ne è stata salvata nessuna.
+ */
+function addNotification(list, recipient, notification) {
+  if (!prefsOf(recipient)[TYPES[notification.type]]) return null;
+
+  const previous = list.findIndex(n => !n.read && sameAction(n, notification));
+  if (previous !== -1) list.splice(previous, 1);
+  list.push(notification);
+
+  const mine = list.filter(n => n.userId === recipient.id);
+  mine.slice(0, Math.max(0, mine.length - MAX_NOTIFICATIONS))
+    .forEach(old => list.splice(list.indexOf(old), 1));
+  return notification;
+}
+
+/** Toglie (in place) le notifiche non lette di quell'azione; true se ce n'erano */
+function retractNotification(list, action) {
+  let removed = false;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (!list[i].read && sameAction(list[i], action)) {
+      list.splice(i, 1);
+      removed = true;
+    }
+  }
+  return removed;
+}
+
+module.exports = { TYPES, KINDS, MAX_NOTIFICATIONS, prefsOf, addNotification, retractNotification };
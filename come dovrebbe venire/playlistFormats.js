@@ -0,0 +1,355 @@
+// ============================================================
+//  FORMATI PLAYLIST - Importazione ed esportazione
+//  M3U/M3U8, XSPF, CSV e JSON, senza librerie esterne.
+//  Il parsing restituisce le righe valide e, a parte, quelle
+//  scartate con il motivo: così il client può mostrare
+//  un'anteprima prima di creare davvero la playlist.
+// ============================================================
+
+const { parseDuration, formatDuration } = require('./audio');
+const { check }                         = require('./validation');
+
+const FORMATS = {
+  m3u:  { ext: 'm3u8', mimeType: 'audio/x-mpegurl' },
+  xspf: { ext: 'xspf', mimeType: 'application/xspf+xml' },
+  csv:  { ext: 'csv',  mimeType: 'text/csv' },
+  json: { ext: 'json', mimeType: 'application/json' }
+};
+
+const MAX_IMPORT_SONGS = 2000; // Oltre, il file viene rifiutato
+
+// ── RICONOSCIMENTO FORMATO ───────────────────────────────────
+
+/**
+ * Formato del file: dall'estensione del nome (se c'è) oppure dal contenuto.
+ * Restituisce 'm3u', 'xspf', 'csv', 'json' oppure null.
+ */
+function detectPlaylistFormat(text, filename = '') {
+  const ext = filename.toLowerCase().split('.').pop();
+  if (ext === 'm3u' || ext === 'm3u8') return 'm3u';
+  if (FORMATS[ext]) return ext;
+
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+  if (start.startsWith('#EXTM3U')) return 'm3u';
+  if (start.startsWith('<'))       return /<playlist[\s>]/.test(start) ? 'xspf' : null;
+  if (/^[[{]/.test(start))         return 'json';
+  return start ? 'csv' : null;
+}
+
+// ── VALIDAZIONE DI UNA RIGA ──────────────────────────────────
+
+/**
+ * Normalizza una canzone letta dal file e la controlla con le regole dei campi
+ * di una canzone (fields: le stesse delle route, es. lunghezze e caratteri ammessi).
+ * Restituisce { song } oppure { error } con il motivo dello scarto.
+ */
+function normalizeSong(raw, fields) {
+  const text = v => (v === undefined || v === null ? '' : String(v).trim());
+  const song = {
+    title:  text(raw.title),
+    artist: text(raw.artist),
+    album:  text(raw.album),
+    genre:  text(raw.genre) || 'Altro'
+  };
+
+  if (!song.title && !song.artist) return { error: 'Titolo e artista mancanti' };
+  if (!song.title)  return { error: 'Titolo mancante' };
+  if (!song.artist) return { error: 'Artista mancante' };
+
+  const duration = text(raw.duration);
+  if (!duration) {
+    song.duration = '0:00';
+  } else {
+    const seconds = parseDuration(duration);
+    if (seconds === null) return { error: `Durata non valida: "${duration}"` };
+    song.duration = formatDuration(seconds);
+  }
+
+  const result = check(fields, song);
+  return result.error ? { error: result.error.error } : { song: result.value };
+}
+
+// ── PARSER ───────────────────────────────────────────────────
+// Ogni parser restituisce { name, entries: [{ row, raw }] }:
+// "row" è il riferimento da mostrare nel report (riga del file o numero del brano)
+
+// M3U: "#EXTINF:durata,Artista - Titolo" seguito dal percorso del file.
+// Senza #EXTINF si prova a ricavare "Artista - Titolo" dal nome del file.
+function parseM3u(text) {
+  const lines = text.split(/\r?\n/);
+  const entries = [];
+  let name    = '';
+  let pending = null; // Dati raccolti dalle direttive prima del percorso
+
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.trim();
+    if (!line) return;
+
+    if (line.startsWith('#')) {
+      const [directive, ...rest] = line.split(':');
+      const value = rest.join(':').trim();
+      if (directive === '#PLAYLIST') name = value;
+      if (!['#EXTINF', '#EXTALB', '#EXTGENRE'].includes(directive)) return; // #EXTM3U, commenti…
+      pending = pending || { row: i + 1, raw: {} };
+      if (directive === '#EXTALB')   pending.raw.album = value;
+      if (directive === '#EXTGENRE') pending.raw.genre = value;
+      if (directive === '#EXTINF') {
+        const comma = value.indexOf(',');
+        const secs  = comma === -1 ? value : value.slice(0, comma);
+        const info  = comma === -1 ? '' : value.slice(comma + 1).trim();
+        // -1 = durata sconosciuta (stream)
+        if (parseFloat(secs) > 0) pending.raw.duration = String(Math.round(parseFloat(secs)));
+        Object.assign(pending.raw, splitArtistTitle(info));
+      }
+      return;
+    }
+
+    // Riga con il percorso: chiude il brano
+    const entry = pending || { row: i + 1, raw: {} };
+    if (!entry.raw.title) {
+      const file     = decodeURIComponentSafe(line.split(/[\\/]/).pop()).replace(/\.[a-z0-9]{2,4}$/i, '');
+      const fromFile = splitArtistTitle(file);
+      entry.raw.title  = fromFile.title;
+      entry.raw.artist = entry.raw.artist || fromFile.artist;
+    }
+    entries.push(entry);
+    pending = null;
+  });
+
+  return { name, entries };
+}
+
+/** "Artista - Titolo" → { artist, title } (senza trattino è tutto titolo) */
+function splitArtistTitle(str) {
+  const sep = str.indexOf(' - ');
+  if (sep === -1) return { title: str };
+  return { artist: str.slice(0, sep).trim(), title: str.slice(sep + 3).trim() };
+}
+
+function decodeURIComponentSafe(str) {
+  try { return decodeURIComponent(str); } catch { return str; }
+}
+
+// XSPF: XML con un elemento <track> per brano. Non serve un parser XML
+// completo: il formato è piatto e bastano le espressioni regolari.
+function parseXspf(text) {
+  const trackList = text.match(/<trackList>([\s\S]*?)<\/trackList>/);
+  if (!trackList) throw new Error('manca l\'elemento <trackList>');
+
+  const header  = text.slice(0, trackList.index);
+  const tag     = (xml, name) => {
+    const m = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+    return m ? unescapeXml(m[1].trim()) : '';
+  };
+  const meta    = (xml, rel) => {
+    const m = xml.match(new RegExp(`<meta rel="${rel}">([\\s\\S]*?)</meta>`));
+    return m ? unescapeXml(m[1].trim()) : '';
+  };
+
+  const tracks  = trackList[1].match(/<track>[\s\S]*?<\/track>/g) || [];
+  const entries = tracks.map((xml, i) => {
+    const ms = tag(xml, 'duration');
+    return {
+      row: i + 1,
+      raw: {
+        title:    tag(xml, 'title'),
+        artist:   tag(xml, 'creator'),
+        album:    tag(xml, 'album'),
+        genre:    meta(xml, 'genre'),
+        // In XSPF la durata è in millisecondi
+        duration: /^\d+$/.test(ms) ? String(Math.round(Number(ms) / 1000)) : ms
+      }
+    };
+  });
+
+  return { name: tag(header, 'title'), subtitle: tag(header, 'annotation'), entries };
+}
+
+// CSV: prima riga di intestazione (in inglese o in italiano), separatore "," o ";"
+const CSV_COLUMNS = {
+  title:    ['title', 'titolo', 'name', 'track'],
+  artist:   ['artist', 'artista', 'creator'],
+  album:    ['album'],
+  duration: ['duration', 'durata', 'length'],
+  genre:    ['genre', 'genere']
+};
+
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const sep  = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+  const rows = splitCsv(text, sep);
+  if (!rows.length) throw new Error('file vuoto');
+
+  const header  = rows[0].cells.map(h => h.trim().toLowerCase());
+  const columns = {};
+  for (const [field, names] of Object.entries(CSV_COLUMNS)) {
+    const idx = header.findIndex(h => names.includes(h));
+    if (idx !== -1) columns[field] = idx;
+  }
+  if (columns.title === undefined || columns.artist === undefined) {
+    throw new Error('l\'intestazione deve contenere almeno le colonne "title" e "artist"');
+  }
+
+  const entries = rows.slice(1)
+    .filter(r => r.cells.some(c => c.trim()))    // Ignora le righe vuote
+    .map(r => {
+      const raw = {};
+      for (const [field, idx] of Object.entries(columns)) raw[field] = r.cells[idx];
+      return { row: r.line, raw };
+    });
+  return { name: '', entries };
+}
+
+/** Divide il testo CSV in righe e celle (gestisce virgolette, "" e a capo dentro le celle) */
+function splitCsv(text, sep) {
+  const rows = [];
+  let cells  = [];
+  let cell   = '';
+  let quoted = false;
+  let line   = 1;
+  let start  = 1; // Riga del file in cui inizia il record corrente
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"')                    quoted = false;
+      else { if (ch === '\n') line++; cell += ch; }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      cells.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell);
+      rows.push({ line: start, cells });
+      cells = []; cell = '';
+      start = ++line;
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || cells.length) { cells.push(cell); rows.push({ line: start, cells }); }
+  return rows;
+}
+
+// JSON: il formato di esportazione ({ name, songs: [...] }) oppure un semplice array di brani
+function parseJson(text) {
+  const data  = JSON.parse(text);
+  const songs = Array.isArray(data) ? data : data.songs;
+  if (!Array.isArray(songs)) throw new Error('serve un array di canzoni o un oggetto con "songs"');
+  return {
+    name:     Array.isArray(data) ? '' : String(data.name || ''),
+    subtitle: Array.isArray(data) ? '' : String(data.subtitle || ''),
+    entries:  songs.map((raw, i) => ({ row: i + 1, raw: raw && typeof raw === 'object' ? raw : {} }))
+  };
+}
+
+const PARSERS = { m3u: parseM3u, xspf: parseXspf, csv: parseCsv, json: parseJson };
+
+/**
+ * Legge un file di playlist; fields sono le regole dei campi di una canzone.
+ * Restituisce { name, subtitle, songs, errors }: songs sono le canzoni valide,
+ * errors le righe scartate ({ row, error }). Se il file è illeggibile lancia un Error.
+ */
+function parsePlaylist(text, format, fields) {
+  const parsed = PARSERS[format](text.replace(/^\uFEFF/, '')); // Toglie l'eventuale BOM
+  if (parsed.entries.length > MAX_IMPORT_SONGS) {
+    throw new Error(`troppe canzoni (max ${MAX_IMPORT_SONGS})`);
+  }
+
+  const songs  = [];
+  const errors = [];
+  parsed.entries.forEach(({ row, raw }) => {
+    const result = normalizeSong(raw, fields);
+    if (result.error) errors.push({ row, error: result.error });
+    else              songs.push(result.song);
+  });
+  return { name: parsed.name || '', subtitle: parsed.subtitle || '', songs, errors };
+}
+
+// ── ESPORTAZIONE ─────────────────────────────────────────────
+
+/** Secondi di una durata "m:ss" salvata nella playlist (0 se manca) */
+function durationSeconds(song) {
+  return parseDuration(song.duration || '') || 0;
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function unescapeXml(str) {
+  return str
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function csvCell(value) {
+  const str = String(value ?? '');
+  return /[",;\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Serializza una playlist nel formato richiesto.
+ * mediaUrl(song) restituisce l'indirizzo del file audio (o null se il brano non ne ha).
+ */
+function serializePlaylist(pl, format, mediaUrl) {
+  switch (format) {
+    case 'm3u':
+      return [
+        '#EXTM3U',
+        `#PLAYLIST:${pl.name}`,
+        ...pl.songs.flatMap(s => [
+          `#EXTINF:${durationSeconds(s) || -1},${s.artist} - ${s.title}`,
+          ...(s.album ? [`#EXTALB:${s.album}`] : []),
+          ...(s.genre ? [`#EXTGENRE:${s.genre}`] : []),
+          // Il percorso è obbligatorio: per i brani senza file si usa il nome
+          mediaUrl(s) || `${s.artist} - ${s.title}`
+        ])
+      ].join('\n') + '\n';
+
+    case 'xspf':
+      return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+        `  <title>${escapeXml(pl.name)}</title>`,
+        ...(pl.subtitle ? [`  <annotation>${escapeXml(pl.subtitle)}</annotation>`] : []),
+        '  <trackList>',
+        ...pl.songs.map(s => [
+          '    <track>',
+          ...(mediaUrl(s) ? [`      <location>${escapeXml(mediaUrl(s))}</location>`] : []),
+          `      <title>${escapeXml(s.title)}</title>`,
+          `      <creator>${escapeXml(s.artist)}</creator>`,
+          ...(s.album ? [`      <album>${escapeXml(s.album)}</album>`] : []),
+          ...(durationSeconds(s) ? [`      <duration>${durationSeconds(s) * 1000}</duration>`] : []),
+          ...(s.genre ? [`      <meta rel="genre">${escapeXml(s.genre)}</meta>`] : []),
+          '    </track>'
+        ].join('\n')),
+        '  </trackList>',
+        '</playlist>'
+      ].join('\n') + '\n';
+
+    case 'csv':
+      // BOM iniziale: senza, Excel apre il file con la codifica sbagliata
+      return '\uFEFF' + [
+        ['title', 'artist', 'album', 'duration', 'genre'],
+        ...pl.songs.map(s => [s.title, s.artist, s.album, s.duration, s.genre])
+      ].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+    case 'json':
+      return JSON.stringify({
+        name:       pl.name,
+        subtitle:   pl.subtitle || '',
+        exportedAt: new Date().toISOString(),
+        songs:      pl.songs.map(({ title, artist, album, duration, genre }) => ({ title, artist, album, duration, genre }))
+      }, null, 2);
+  }
+}
+
+module.exports = { FORMATS, detectPlaylistFormat, parsePlaylist, serializePlaylist };
@@ -0,0 +1,54 @@
+// ============================================================
+//  LIMITI DI FREQUENZA - Quante richieste per utente in un tempo
+//  Protegge le azioni che altri vedono (commenti, reazioni) da chi
+//  ne pubblica a raffica. Finestra scorrevole: si contano le
+//  richieste degli ultimi windowMs; oltre il limite si risponde
+//  429 Too Many Requests con l'header Retry-After (secondi).
+//  Contano solo le richieste andate a buon fine: un 429, un dato
+//  non valido o un permesso negato non allungano l'attesa.
+//  I conteggi stanno in memoria: ripartono a ogni avvio del server.
+// ============================================================
+
+/**
+ * Crea un middleware che per ogni finestra di windows ({ limit, windowMs }) lascia passare
+ * al massimo "limit" richieste ogni windowMs per utente (es. 5 al minuto e 60 all'ora).
+ * Va dopo requireAuth (usa req.currentUser). action: cosa si sta facendo, per il messaggio
+ * ("Stai commentando troppo in fretta").
+ */
+function rateLimit({ windows, action }) {
+  const longest = Math.max(...windows.map(w => w.windowMs));
+  const hits    = new Map(); // id utente → istanti (ms) delle richieste riuscite nella finestra più lunga
+
+  return (req, res, next) => {
+    const now    = Date.now();
+    const key    = req.currentUser.id;
+    const recent = (hits.get(key) || []).filter(t => t > now - longest);
+    hits.set(key, recent);
+
+    // Prima si controllano tutte le finestre: una richiesta rifiutata non ne consuma nessuna
+    const retryAfter = Math.max(0, ...windows.map(({ limit, windowMs }) => {
+      const inWindow = recent.filter(t => t > now - windowMs);
+      // Si torna sotto il limite quando esce dalla finestra la più vecchia delle ultime "limit"
+      return inWindow.length < limit ? 0 : Math.ceil((inWindow[inWindow.length - limit] + windowMs - now) / 1000);
+    }));
+    if (retryAfter) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: `${action} troppo in fretta: riprova tra ${retryAfter} s` });
+    }
+
+    // Il posto si prende subito (due richieste ravvicinate non passano entrambe sull'ultimo)
+    // e si restituisce se la route risponde con un errore
+    recent.push(now);
+    res.on('finish', () => {
+      if (res.statusCode < 400) return;
+      const times = hits.get(key) || [];
+      const index = times.indexOf(now);
+      if (index !== -1) times.splice(index, 1);
+    });
+    // Pulizia: senza, la mappa terrebbe per sempre chi ha scritto una volta sola
+    if (hits.size > 1000) hits.forEach((times, k) => { if (!times.length || times[times.length - 1] <= now - longest) hits.delete(k); });
+    next();
+  };
+}
+
+module.exports = { rateLimit };
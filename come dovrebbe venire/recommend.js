@@ -0,0 +1,175 @@
+// ============================================================
+//  CONSIGLI - "Fatti per te"
+//  Suggerisce brani e playlist a un utente partendo dai suoi gusti:
+//  - il profilo è fatto di artisti e generi (dalle sue playlist,
+//    dai brani che gli piacciono e da quello che ascolta)
+//  - gli utenti con un profilo simile (similarità del coseno)
+//    spingono in alto quello che hanno nelle loro playlist
+//  - i brani che compaiono spesso nelle stesse playlist dei suoi
+//    (co-occorrenza) valgono di più
+//  Non suggerisce mai ciò che l'utente ha già: stesso brano
+//  (artista + titolo, anche se in un'altra playlist) o stessa playlist.
+//  Ogni consiglio ha un motivo ("Perché ti piace The Weeknd").
+// ============================================================
+
+const ARTIST_WEIGHT = 1;   // Peso di un artista nel profilo…
+const GENRE_WEIGHT  = 0.5; // …e di un genere (più generico, conta meno)
+
+/** Minuscolo, senza spazi in eccesso: "The Weeknd " e "the weeknd" sono lo stesso artista */
+function normalize(str) {
+  return String(str || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+/** Identità di un brano indipendente dalla playlist in cui si trova */
+function songKey(song) {
+  return `${normalize(song.artist)}|${normalize(song.title)}`;
+}
+
+/**
+ * Profilo dei gusti: Map "a:artista" / "g:genere" → peso.
+ * entries: brani con un peso (quanto contano per l'utente) → [{ artist, genre, weight }]
+ */
+function tasteProfile(entries) {
+  const profile = new Map();
+  const add = (key, weight) => profile.set(key, (profile.get(key) || 0) + weight);
+  entries.forEach(e => {
+    if (normalize(e.artist)) add('a:' + normalize(e.artist), ARTIST_WEIGHT * e.weight);
+    if (normalize(e.genre))  add('g:' + normalize(e.genre),  GENRE_WEIGHT  * e.weight);
+  });
+  return profile;
+}
+
+/** Similarità del coseno tra due profili: 0 = nulla in comune, 1 = stessi gusti */
+function similarity(a, b) {
+  let dot = 0;
+  a.forEach((weight, key) => { dot += weight * (b.get(key) || 0); });
+  if (!dot) return 0;
+  const norm = p => Math.sqrt([...p.values()].reduce((sum, w) => sum + w * w, 0));
+  return dot / (norm(a) * norm(b));
+}
+
+/**
+ * Punteggio di un brano candidato, diviso per motivo: il motivo del consiglio
+ * è quello che pesa di più. Le affinità sono tra 0 e 1 (rispetto alla voce
+ * più forte del profilo), così artisti e generi restano confrontabili.
+ */
+function songSignals(song, ctx) {
+  const key     = songKey(song);
+  const artist  = (ctx.profile.get('a:' + normalize(song.artist)) || 0) / ctx.maxWeight;
+  const genre   = (ctx.profile.get('g:' + normalize(song.genre))  || 0) / ctx.maxWeight;
+  const similar = ctx.similarBySong.get(key) || null;
+  const together = ctx.together.get(key) || null;
+  return [
+    { score: artist * 2, reason: `Perché ti piace ${song.artist}` },
+    { score: genre, reason: `Perché ascolti ${song.genre}` },
+    { score: similar ? similar.score : 0,
+      reason: similar && `Piace a ${similar.user.username}, che ha gusti simili ai tuoi` },
+    { score: together ? together.score : 0,
+      reason: together && `Spesso nelle playlist insieme a "${together.title}"` }
+  ];
+}
+
+/** Somma dei segnali e motivo principale (null se il brano non c'entra niente con l'utente) */
+function scoreOf(signals) {
+  const best = signals.reduce((a, b) => (b.score > a.score ? b : a));
+  if (!best.score) return null;
+  return { score: signals.reduce((sum, s) => sum + s.score, 0), reason: best.reason };
+}
+
+/**
+ * Consigli per un utente.
+ * - mine:      { entries: [{ title, artist, genre, weight }], playlistIds: [...] }
+ *              i suoi brani (playlist, "mi piace", ascolti) e le playlist che ha già
+ * - others:    [{ user: { id, username }, entries: [...] }] gli altri utenti
+ * - playlists: playlist candidate (solo quelle che l'utente può vedere), con likeCount
+ * Restituisce { songs: [{ song, playlist, reason }], playlists: [{ playlist, reason }] }
+ */
+function recommend({ mine, others, playlists }, limit = 10) {
+  const profile    = tasteProfile(mine.entries);
+  const mySongs    = new Set(mine.entries.map(songKey));
+  const myPlaylists = new Set(mine.playlistIds);
+  const candidates = playlists.filter(pl => !myPlaylists.has(pl.id) && pl.songs.length);
+
+  // Utente nuovo, senza gusti noti: le playlist più apprezzate della community
+  if (!profile.size) {
+    return {
+      songs:     [],
+      playlists: candidates
+        .filter(pl => pl.likeCount > 0)
+        .sort((a, b) => b.likeCount - a.likeCount || b.songs.length - a.songs.length)
+        .slice(0, limit)
+        .map(playlist => ({ playlist, reason: 'Tra le più salvate della community' }))
+    };
+  }
+
+  // Utenti simili: per ogni brano che hanno, l'utente più simile che ce l'ha
+  const similarBySong = new Map();
+  const similarUsers  = new Map(); // id → { user, score }
+  others.forEach(({ user, entries }) => {
+    const score = similarity(profile, tasteProfile(entries));
+    if (score <= 0) return;
+    similarUsers.set(user.id, { user, score });
+    entries.forEach(e => {
+      const key = songKey(e);
+      if (!similarBySong.has(key) || similarBySong.get(key).score < score) similarBySong.set(key, { user, score });
+    });
+  });
+
+  // Co-occorrenza: quanto spesso un brano sta in una playlist insieme a brani dell'utente.
+  // Ogni playlist conta per la frazione dei suoi brani che l'utente ha già
+  const together = new Map(); // chiave → { score, title (un brano dell'utente nella stessa playlist) }
+  candidates.forEach(pl => {
+    const shared = pl.songs.filter(s => mySongs.has(songKey(s)));
+    if (!shared.length) return;
+    const weight = shared.length / pl.songs.length;
+    pl.songs.forEach(s => {
+      const key = songKey(s);
+      if (mySongs.has(key)) return;
+      const t = together.get(key) || { score: 0, title: shared[0].title };
+      t.score += weight;
+      together.set(key, t);
+    });
+  });
+
+  const ctx = { profile, maxWeight: Math.max(...profile.values()), similarBySong, together };
+
+  // Brani: ognuno una volta sola (il primo trovato tra le playlist candidate)
+  const songs = new Map();
+  candidates.forEach(pl => pl.songs.forEach(song => {
+    const key = songKey(song);
+    if (mySongs.has(key) || songs.has(key)) return;
+    const result = scoreOf(songSignals(song, ctx));
+    if (result) songs.set(key, { song, playlist: pl, ...result, popularity: song.likeCount || 0 });
+  }));
+
+  // Playlist: media dei brani che l'utente non ha, più la somiglianza con l'autore
+  const playlistResults = candidates.map(pl => {
+    const fresh = pl.songs.filter(s => !mySongs.has(songKey(s)));
+    if (!fresh.length) return null; // Ha già tutto quello che c'è dentro
+    const scored = fresh.map(s => ({ song: s, signals: songSignals(s, ctx) }));
+    const author = similarUsers.get(pl.userId);
+
+    // Il motivo: l'artista (o genere) più presente tra quelli che piacciono, oppure l'autore simile
+    const reasons = new Map();
+    scored.forEach(({ signals }) => signals.slice(0, 2).forEach(s => {
+      if (s.score) reasons.set(s.reason, (reasons.get(s.reason) || 0) + s.score);
+    }));
+    const signals = [...reasons].map(([reason, score]) => ({ score: score / fresh.length, reason }));
+    if (author) signals.push({ score: author.score, reason: `Di ${author.user.username}, che ha gusti simili ai tuoi` });
+    if (!signals.length) return null;
+
+    const best  = signals.reduce((a, b) => (b.score > a.score ? b : a));
+    const score = scored.reduce((sum, { signals: s }) => sum + (scoreOf(s)?.score || 0), 0) / fresh.length
+                + (author ? author.score : 0);
+    return { playlist: pl, score, reason: best.reason, popularity: pl.likeCount || 0 };
+  }).filter(Boolean);
+
+  const byScore = (a, b) => b.score - a.score || b.popularity - a.popularity;
+  const strip   = ({ score, popularity, ...rest }) => rest;
+  return {
+    songs:     [...songs.values()].sort(byScore).slice(0, limit).map(strip),
+    playlists: playlistResults.sort(byScore).slice(0, limit).map(strip)
+  };
+}
+
+module.exports = { recommend };
@@ -0,0 +1,160 @@
+// ============================================================
+//  REVISIONI - Cronologia delle modifiche di una playlist
+//  Ogni modifica salva una revisione con i soli campi cambiati,
+//  com'erano prima e come sono dopo:
+//    { before: { name: 'Vecchio' }, after: { name: 'Nuovo' } }
+//  Le canzoni non si salvano come elenco intero (prima e dopo
+//  sarebbero due copie di tutta la playlist a ogni modifica), ma
+//  come cambiamento: solo le canzoni entrate, uscite o modificate,
+//  con la loro posizione, e l'ordine di prima se è cambiato:
+//    { songs: { added: [{ index, song }], removed: [{ index, song }],
+//               updated: [{ id, before, after }], order: [id…] | null } }
+//  Per sapere com'era la playlist dopo una revisione si parte
+//  dallo stato di adesso e si disfano, dalla più recente, le
+//  revisioni successive (rimettendo i loro "before").
+//  Si versionano i contenuti (VERSIONED_FIELDS); membri e
+//  immagini caricate no: i file delle vecchie immagini non
+//  restano sul disco.
+// ============================================================
+
+const VERSIONED_FIELDS = ['name', 'subtitle', 'cover', 'visibility', 'smart', 'songs'];
+
+const SONG_FIELDS = ['title', 'artist', 'album', 'duration', 'genre'];
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/** Copia dei campi versionati della playlist (indipendente dall'oggetto originale) */
+function snapshot(pl) {
+  const state = {};
+  VERSIONED_FIELDS.forEach(field => {
+    if (pl[field] !== undefined) state[field] = structuredClone(pl[field]);
+  });
+  return state;
+}
+
+/** I campi cambiati di una canzone: { id, before, after } con solo quelli (null = campo assente), oppure null */
+function songFieldChanges(from, to) {
+  const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])].filter(k => !same(from[k], to[k]));
+  if (!keys.length) return null;
+  const pick = song => Object.fromEntries(keys.map(k => [k, song[k] ?? null]));
+  return { id: to.id, before: pick(from), after: pick(to) };
+}
+
+/**
+ * Cosa cambia tra due elenchi di canzoni (vedi in cima): added con le posizioni nel nuovo elenco,
+ * removed con quelle nel vecchio; order è l'ordine di prima delle canzoni rimaste, se è cambiato
+ */
+function songChanges(before = [], after = []) {
+  const oldById  = new Map(before.map(s => [s.id, s]));
+  const newIds   = new Set(after.map(s => s.id));
+  const kept     = after.filter(s => oldById.has(s.id));
+  const oldOrder = before.filter(s => newIds.has(s.id)).map(s => s.id);
+  return {
+    added:   after.map((song, index) => ({ index, song })).filter(({ song }) => !oldById.has(song.id)),
+    removed: before.map((song, index) => ({ index, song })).filter(({ song }) => !newIds.has(song.id)),
+    updated: kept.map(song => songFieldChanges(oldById.get(song.id), song)).filter(Boolean),
+    order:   same(oldOrder, kept.map(s => s.id)) ? null : oldOrder
+  };
+}
+
+/** Disfa un cambiamento di songChanges: dall'elenco di dopo (modificato in place) rifà quello di prima */
+function undoSongChanges(songs, change) {
+  const added = new Set(change.added.map(({ song }) => song.id));
+  const list  = songs.filter(s => !added.has(s.id));
+  const byId  = new Map(list.map(s => [s.id, s]));
+  change.updated.forEach(({ id, before }) => {
+    const song = byId.get(id);
+    if (!song) return;
+    Object.entries(before).forEach(([key, value]) => {
+      if (value === null) delete song[key];
+      else song[key] = structuredClone(value);
+    });
+  });
+  if (change.order) {
+    const position = new Map(change.order.map((id, i) => [id, i]));
+    const rank     = s => position.get(s.id) ?? change.order.length;
+    list.sort((a, b) => rank(a) - rank(b));
+  }
+  // In ordine di posizione: ognuna torna esattamente dov'era
+  change.removed.forEach(({ index, song }) => list.splice(index, 0, structuredClone(song)));
+  return list;
+}
+
+/**
+ * I campi cambiati tra due snapshot: { before, after } con solo quelli (tranne le canzoni)
+ * e songs con il cambiamento delle canzoni, se ci sono state modifiche; null se sono uguali
+ */
+function changes(before, after) {
+  const fields = VERSIONED_FIELDS.filter(f => !same(before[f], after[f]));
+  if (!fields.length) return null;
+  const other = fields.filter(f => f !== 'songs');
+  const pick  = state => Object.fromEntries(other.map(f => [f, state[f] ?? null]));
+  const diff  = { before: pick(before), after: pick(after) };
+  if (fields.includes('songs')) diff.songs = songChanges(before.songs, after.songs);
+  return diff;
+}
+
+/**
+ * Stato della playlist subito dopo la revisione revId.
+ * current: snapshot di adesso; revisions: le revisioni della playlist dalla più vecchia.
+ * null se la revisione non c'è.
+ */
+function stateAt(current, revisions, revId) {
+  const index = revisions.findIndex(r => r.id === revId);
+  if (index === -1) return null;
+  const state = structuredClone(current);
+  revisions.slice(index + 1).reverse().forEach(r => {
+    Object.entries(r.before).forEach(([field, value]) => {
+      if (value === null) delete state[field];
+      else state[field] = structuredClone(value);
+    });
+    if (r.songs) state.songs = undoSongChanges(state.songs || [], r.songs);
+  });
+  return state;
+}
+
+/**
+ * Differenze tra due stati della playlist:
+ * fields: { campo: { from, to } } per nome, sottotitolo, cover, visibilità e regole;
+ * songs: { added, removed, updated: [{ id, from, to }], reordered }
+ */
+function diffStates(from, to) {
+  const fields = {};
+  VERSIONED_FIELDS.filter(f => f !== 'songs' && !same(from[f], to[f]))
+    .forEach(f => { fields[f] = { from: from[f] ?? null, to: to[f] ?? null }; });
+
+  const oldSongs = from.songs || [];
+  const newSongs = to.songs || [];
+  const oldById  = new Map(oldSongs.map(s => [s.id, s]));
+  const newIds   = new Set(newSongs.map(s => s.id));
+  const kept     = newSongs.filter(s => oldById.has(s.id));
+  const updated  = kept
+    .filter(s => SONG_FIELDS.some(f => (s[f] ?? '') !== (oldById.get(s.id)[f] ?? '')))
+    .map(s => ({ id: s.id, from: oldById.get(s.id), to: s }));
+  const oldOrder = oldSongs.filter(s => newIds.has(s.id)).map(s => s.id);
+
+  return {
+    fields,
+    songs: {
+      added:     newSongs.filter(s => !oldById.has(s.id)),
+      removed:   oldSongs.filter(s => !newIds.has(s.id)),
+      updated,
+      reordered: !same(oldOrder, kept.map(s => s.id))
+    }
+  };
+}
+
+/** Riassunto di una revisione per gli elenchi: campi cambiati e quante canzoni entrano ed escono */
+function summarize(revision) {
+  const songs = revision.songs;
+  // Come in diffStates, conta come modificata solo una canzone con un campo visibile cambiato
+  const updated = songs ? songs.updated.filter(u => SONG_FIELDS.some(f => f in u.after)) : [];
+  return {
+    fields:       [...Object.keys(revision.after), ...(songs ? ['songs'] : [])],
+    songsAdded:   songs ? songs.added.length : 0,
+    songsRemoved: songs ? songs.removed.length : 0,
+    songsUpdated: updated.length
+  };
+}
+
+module.exports = { VERSIONED_FIELDS, snapshot, changes, songChanges, stateAt, diffStates, summarize };
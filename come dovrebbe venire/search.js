@@ -0,0 +1,113 @@
+// ============================================================
+//  RICERCA - Brani, playlist e utenti
+//  - Il testo cercato non diventa mai una RegExp così com'è:
+//    i caratteri speciali vengono sempre "escapati"
+//  - Confronto senza maiuscole e senza accenti ("perche" trova "Perché")
+//  - Ogni risultato ha un punteggio: prima le corrispondenze esatte,
+//    poi quelle a inizio parola, poi quelle a metà parola
+// ============================================================
+
+const MAX_QUERY_LENGTH = 100; // Ricerche più lunghe vengono rifiutate
+
+/** Minuscolo e senza accenti/diacritici: "Perché Città" → "perche citta" */
+function normalizeText(str) {
+  return String(str || '')
+    .normalize('NFD')                 // "é" → "e" + accento combinante
+    .replace(/[\u0300-\u036f]/g, '')  // …e gli accenti combinanti si tolgono
+    .toLowerCase();
+}
+
+/** Rende letterali i caratteri speciali delle RegExp: "(ciao" → "\(ciao" */
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Divide la ricerca in parole normalizzate (senza doppioni).
+ * Per ognuna prepara la RegExp "inizio di parola": inizio del testo
+ * oppure dopo un carattere che non è lettera/cifra.
+ */
+function queryTerms(query) {
+  return [...new Set(normalizeText(query).split(/\s+/).filter(Boolean))].map(text => ({
+    text,
+    wordStart: new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(text)}`, 'u')
+  }));
+}
+
+/**
+ * Punteggio di una parola cercata in un testo (già normalizzato):
+ * 0 = assente, 1 = dentro una parola, 2 = inizio di parola, 3 = testo identico
+ */
+function termScore(text, term) {
+  if (text === term.text) return 3;
+  if (term.wordStart.test(text)) return 2;
+  return text.includes(term.text) ? 1 : 0;
+}
+
+/**
+ * Punteggio di un elemento: fields è una lista di [testo, peso].
+ * Tutte le parole cercate devono comparire in almeno un campo (altrimenti 0);
+ * per ogni parola conta il campo migliore. Se la frase intera coincide con un campo, bonus.
+ */
+function scoreItem(fields, terms, phrase) {
+  const normalized = fields.map(([text, weight]) => [normalizeText(text), weight]);
+  let score = 0;
+  for (const term of terms) {
+    const best = Math.max(...normalized.map(([text, weight]) => termScore(text, term) * weight));
+    if (!best) return 0;
+    score += best;
+  }
+  if (normalized.some(([text]) => text === phrase)) score += 10;
+  return score;
+}
+
+/** Ordina per punteggio decrescente, tiene i primi "limit" e toglie il punteggio */
+function rank(results, limit) {
+  return results
+    .filter(r => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(r => r.item);
+}
+
+/**
+ * Cerca in brani, playlist e utenti.
+ * playlists: solo quelle che chi cerca può vedere; users: già senza password.
+ * Restituisce i risultati raggruppati: { songs, playlists, users }
+ */
+function searchAll({ playlists, users }, query, limit = 20) {
+  const terms  = queryTerms(query);
+  const phrase = normalizeText(query).trim().replace(/\s+/g, ' ');
+  if (!terms.length) return { songs: [], playlists: [], users: [] };
+
+  const authorName = id => (users.find(u => u.id === id) || {}).username || '';
+
+  const songs = playlists.flatMap(pl => pl.songs.map(s => ({
+    score: scoreItem([[s.title, 5], [s.artist, 4], [s.album, 2], [s.genre, 1]], terms, phrase),
+    item:  { ...s, playlistId: pl.id, playlistName: pl.name, cover: pl.cover, coverImage: pl.coverImage }
+  })));
+
+  const playlistResults = playlists.map(pl => ({
+    score: scoreItem([[pl.name, 5], [pl.subtitle, 2], [authorName(pl.userId), 1]], terms, phrase),
+    item:  { ...pl, author: { username: authorName(pl.userId) } }
+  }));
+
+  const userResults = users.map(u => ({
+    score: scoreItem([[u.username, 5], [u.bio, 2]], terms, phrase),
+    item:  u
+  }));
+
+  return {
+    songs:     rank(songs, limit),
+    playlists: rank(playlistResults, limit),
+    users:     rank(userResults, limit)
+  };
+}
+
+/** Vero se tutte le parole cercate compaiono (senza accenti/maiuscole) in almeno uno dei testi */
+function matchesQuery(texts, query) {
+  const terms = queryTerms(query);
+  return !terms.length || scoreItem(texts.map(t => [t, 1]), terms, null) > 0;
+}
+
+module.exports = { MAX_QUERY_LENGTH, searchAll, matchesQuery };
@@ -11,14 +11,107 @@ const path    = require('path');          // Gestione dei percorsi file (cross-p
 const fs      = require('fs');            // File System: lettura/scrittura file
 const crypto  = require('crypto');        // Modulo crittografico built-in (generare ID univoci)
 
+// Moduli locali
+const { detectFormat, readDuration, parseDuration, formatDuration }
+                                                     = require('./audio');   // Formato e durata dei file audio
+const { createStorage }                              = require('./storage'); // Persistenza dei dati
+const { FORMATS: PLAYLIST_FORMATS, detectPlaylistFormat, parsePlaylist, serializePlaylist }
+                                                     = require('./playlistFormats'); // Import/export
+const { MAX_QUERY_LENGTH, searchAll, matchesQuery }  = require('./search');  // Ricerca
+const { computeStats }                               = require('./stats');   // Statistiche di ascolto
+const { recommend }                                  = require('./recommend'); // Consigli "Fatti per te"
+const { validateSmart, evaluateSmart }               = require('./smartPlaylists'); // Playlist smart
+const { createLiveHub }                              = require('./live');    // Aggiornamenti in tempo reale
+const { IMAGE_SIZES, thumbnailsInWorker }            = require('./images');  // Copertine e avatar caricati
+const { v, validate, check, errorFormat }            = require('./validation'); // Controllo dei dati in ingresso
+const { renderSharedPlaylist, renderShareNotFound }  = require('./sharePages'); // Pagine dei link di condivisione
+const { snapshot, changes, stateAt, diffStates, summarize: summarizeRevision }
+                                                     = require('./revisions'); // Cronologia delle modifiche
+const { rateLimit }                                  = require('./rateLimit'); // Limiti di frequenza
+const { TYPES: NOTIFICATION_TYPES, KINDS: NOTIFICATION_KINDS, prefsOf: notificationPrefs, addNotification, retractNotification }
+                                                     = require('./notifications'); // Notifiche
+
 // ── 2. INIZIALIZZAZIONE APP EXPRESS ─────────────────────────
 const app  = express();   // Crea l'istanza dell'applicazione Express
 const PORT = 3000;        // Porta su cui il server resta in ascolto
 
+// Segreto per firmare i token di sessione (HMAC). Se non è impostato nell'ambiente
+// se ne genera uno casuale: i token emessi diventano invalidi al riavvio del server.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // Durata di una sessione: 7 giorni
+
+// Token per gli indirizzi: <audio>, EventSource e i link di download non possono inviare l'header
+// Authorization, quindi il token va nella query string. Lì può finire in log e cronologia: invece
+// del token di sessione se ne usa uno breve, buono per un solo uso (durata in ms per uso)
+const URL_TOKEN_TTL_MS = {
+  media:  60 * 60 * 1000, // Audio del player (anche il seek, richieste Range successive)
+  live:   60 * 60 * 1000, // Apertura dello stream /api/live (poi resta aperto)
+  export: 60 * 1000       // Download di una playlist esportata
+};
+
 // ── 3. PERCORSI FILE ─────────────────────────────────────────
 // path.join costruisce percorsi compatibili su tutti i SO (/, \)
 const DB_PATH     = path.join(__dirname, 'data', 'db.json');
 const PUBLIC_PATH = path.join(__dirname, 'public');
+const MEDIA_PATH  = path.join(__dirname, 'data', 'media'); // File audio caricati dagli utenti
+const IMAGES_PATH = path.join(__dirname, 'data', 'images'); // Miniature di copertine e avatar
+
+const MAX_AUDIO_SIZE  = '30mb'; // Dimensione massima di un file audio caricato
+const MAX_IMPORT_SIZE = '5mb';  // Dimensione massima di un file di playlist da importare
+const MAX_IMAGE_SIZE  = '10mb'; // Dimensione massima di un'immagine (copertina o avatar) caricata
+
+const MAX_PLAY_SECONDS   = 6 * 60 * 60; // Un singolo ascolto non può durare più di 6 ore
+const MAX_PLAYS_PER_USER = 5000;        // Oltre, gli ascolti più vecchi vengono scartati
+const STATS_PERIODS      = [7, 30, 90, 365]; // Periodi (in giorni) delle statistiche
+
+const MAX_USERNAME_LENGTH = 30;
+const MAX_BIO_LENGTH      = 300;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 200;
+const MAX_NAME_LENGTH     = 100; // Nome di una playlist
+const MAX_SUBTITLE_LENGTH = 200;
+const MAX_SONG_TEXT       = 200; // Titolo, artista e album di una canzone
+const MAX_GENRE_LENGTH    = 50;
+
+const TRASH_RETENTION_MS = 30 * 24 * 60 * 60 * 1000; // Dopo 30 giorni il cestino si svuota da solo
+
+const MAX_SHARE_LINKS = 20;  // Link di condivisione attivi al massimo per playlist
+const MAX_SHARE_DAYS  = 365; // Scadenza più lontana che si può dare a un link
+
+const MAX_REVISIONS = 200; // Revisioni tenute per playlist: oltre, le più vecchie si scartano
+
+const MAX_COMMENT_LENGTH     = 1000;
+const MAX_REACTIONS_PER_SONG = 3; // Emoji diverse che uno stesso utente può lasciare su una canzone
+
+// Visibilità di una playlist:
+//  - public   → compare ovunque (Home, Scopri, profilo dell'autore)
+//  - unlisted → non compare negli elenchi, ma chi ha il link (l'id) può aprirla
+//  - private  → la vede solo il proprietario
+const VISIBILITIES = ['public', 'unlisted', 'private'];
+
+// Ruoli dei collaboratori di una playlist (il proprietario è playlist.userId):
+//  - editor  → aggiunge e rimuove canzoni
+//  - coowner → come editor, in più rinomina, cambia cover/visibilità e gestisce i membri
+const MEMBER_ROLES = ['editor', 'coowner'];
+
+// Crea le cartelle dei media e delle immagini se non esistono ancora (recursive: nessun errore se ci sono già)
+fs.mkdirSync(MEDIA_PATH, { recursive: true });
+fs.mkdirSync(IMAGES_PATH, { recursive: true });
+
+// Storage: DB in memoria + salvataggio su disco. Di default db.json;
+// con STORAGE=sqlite usa data/db.sqlite (al primo avvio importa db.json).
+// All'avvio vengono applicate le migrazioni dello schema.
+const store = createStorage({ file: DB_PATH, driver: process.env.STORAGE || 'json' });
+
+// Eventi in tempo reale verso le schede aperte (Server-Sent Events, vedi live.js)
+const live = createLiveHub();
+
+// Quanto spesso si può commentare e reagire (per utente, vedi rateLimit.js)
+const commentLimit = rateLimit({
+  windows: [{ limit: 5, windowMs: 60 * 1000 }, { limit: 60, windowMs: 60 * 60 * 1000 }],
+  action:  'Stai commentando'
+});
+const reactionLimit = rateLimit({ windows: [{ limit: 30, windowMs: 60 * 1000 }], action: 'Stai reagendo' });
 
 // ── 4. MIDDLEWARE GLOBALI ────────────────────────────────────
 // I middleware sono funzioni che intercettano req/res PRIMA del handler finale.
@@ -36,25 +129,40 @@ app.use(express.static(PUBLIC_PATH));
 // Ogni middleware riceve (req, res, next) e deve chiamare next() per passare al successivo
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
-  // Log di ogni richiesta in entrata (metodo HTTP + URL + timestamp)
-  console.log(`[${timestamp}] ${req.method} ${req.url}`);
+  // Log di ogni richiesta in entrata (metodo HTTP + URL + timestamp); un token nella query non si scrive
+  console.log(`[${timestamp}] ${req.method} ${req.url.replace(/([?&]token=)[^&]*/g, '$1…')}`);
   next(); // Passa il controllo al prossimo middleware/route handler
 });
 
+// Formato unico degli errori: ogni { error } riceve anche un code (vedi validation.js)
+app.use(errorFormat);
+
 // ── 6. HELPER: lettura e scrittura del database JSON ─────────
 // Funzioni di utilità per astrarre l'I/O su file
 
-/** Legge il file JSON e restituisce l'oggetto parsato */
+/** Restituisce una copia dei dati da modificare e poi salvare con writeDB() (dalla memoria: nessuna lettura da disco) */
 function readDB() {
-  // fs.readFileSync → lettura sincrona (blocca il thread, ok per piccoli file)
-  const raw = fs.readFileSync(DB_PATH, 'utf-8');
-  return JSON.parse(raw);
+  return store.read();
+}
+
+/**
+ * I dati in sola lettura, senza copia: per le route e i controlli che cercano e basta.
+ * Costa poco anche con un DB grande; modificare un oggetto preso da qui lancia un errore.
+ */
+function viewDB() {
+  return store.view();
 }
 
-/** Sovrascrive il file JSON con i nuovi dati serializzati */
+/** Salva i nuovi dati: la memoria si aggiorna subito, il disco appena possibile (scrittura atomica) */
 function writeDB(data) {
-  // JSON.stringify con indentazione 2 per leggibilità del file
-  fs.writeFileSync(DB_PATH, JSON.stringify(data, null, 2), 'utf-8');
+  // Tra readDB() e writeDB() le route non aspettano mai nulla (nessun await): non si
+  // inserisce nessun'altra richiesta, quindi nessuna modifica va persa
+  store.write(data);
+}
+
+/** Indirizzo del server come lo vede il client (es. "http://localhost:3000"), per i link assoluti */
+function baseUrl(req) {
+  return `${req.protocol}://${req.get('host')}`;
 }
 
 /** Genera un ID univoco usando crypto (UUID-like) */
@@ -62,177 +170,1012 @@ function generateId() {
   return crypto.randomBytes(8).toString('hex'); // 16 caratteri esadecimali
 }
 
+/**
+ * Copia il file audio di una canzone per una nuova canzone (id diverso); restituisce il nuovo campo audio.
+ * Se il file non è più sul disco la copia resta senza audio (undefined), come nel ripristino di una revisione.
+ * Il file non si copia qui: la copia da fare si annota in copies e la esegue copyFiles().
+ */
+function copyMedia(song, newId, copies) {
+  if (!song.audio) return undefined;
+  const source = path.join(MEDIA_PATH, song.audio.file);
+  if (!fs.existsSync(source)) return undefined;
+  const file = `${newId}${path.extname(song.audio.file)}`;
+  copies.push({ from: source, to: path.join(MEDIA_PATH, file) });
+  return { ...song.audio, file };
+}
+
+/**
+ * Esegue le copie annotate da copyMedia e copyImage, senza bloccare il server (una playlist
+ * può avere centinaia di file). Va chiamata dopo writeDB(): intanto arrivano altre richieste.
+ * Una copia fallita finisce nel log; la canzone resta senza file, come quando il file manca.
+ */
+async function copyFiles(copies) {
+  await Promise.all(copies.map(({ from, to }) => fs.promises.copyFile(from, to)
+    .catch(err => console.error(`[FILE] Copia di ${path.basename(from)} non riuscita:`, err.message))));
+}
+
+/** Elimina dal disco il file audio di una canzone (se ne ha uno) */
+function removeMedia(song) {
+  if (!song.audio) return;
+  fs.rmSync(path.join(MEDIA_PATH, song.audio.file), { force: true });
+}
+
+/**
+ * Crea le miniature di un'immagine caricata (in un worker thread) e le salva in data/images
+ * come "<id>-<lato>.<ext>". Restituisce una Promise con { image: { id, ext } } da salvare nel DB,
+ * oppure { error, status, code } (415 formato non gestito). Chi la aspetta deve rileggere il DB dopo.
+ */
+async function saveImage(upload) {
+  let result;
+  try {
+    result = await thumbnailsInWorker(upload);
+  } catch (err) {
+    console.error('Errore nella creazione delle miniature:', err);
+    return { error: "Impossibile elaborare l'immagine", status: 500, code: 'image_failed' };
+  }
+  if (result.error) {
+    return result.unsupported ? { error: result.error, status: 415, code: 'unsupported_image' }
+      : { error: result.error, status: 400, code: 'invalid_image' };
+  }
+  const id = generateId();
+  result.thumbnails.forEach(t => fs.writeFileSync(path.join(IMAGES_PATH, `${id}-${t.size}.${result.ext}`), t.data));
+  return { image: { id, ext: result.ext } };
+}
+
+/**
+ * Copia le miniature di un'immagine con un nuovo id (ogni playlist ha le sue: eliminarne una non tocca l'altra).
+ * Se manca anche una sola miniatura sul disco non copia nulla: undefined, la copia resta senza immagine.
+ * Come copyMedia, annota le copie in copies (le esegue copyFiles).
+ */
+function copyImage(image, copies) {
+  if (!image) return undefined;
+  const sources = IMAGE_SIZES.map(size => path.join(IMAGES_PATH, `${image.id}-${size}.${image.ext}`));
+  if (!sources.every(file => fs.existsSync(file))) return undefined;
+  const id = generateId();
+  sources.forEach((file, i) => copies.push({ from: file, to: path.join(IMAGES_PATH, `${id}-${IMAGE_SIZES[i]}.${image.ext}`) }));
+  return { id, ext: image.ext };
+}
+
+/** Elimina dal disco le miniature di un'immagine (se c'è) */
+function removeImage(image) {
+  if (!image) return;
+  IMAGE_SIZES.forEach(size => fs.rmSync(path.join(IMAGES_PATH, `${image.id}-${size}.${image.ext}`), { force: true }));
+}
+
+// ── 6b. HELPER: password e token di sessione ─────────────────
+
+/** Calcola l'hash di una password con scrypt e un salt casuale → "scrypt$salt$hash" */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/** true se la password salvata è già in formato hash (gli utenti vecchi l'hanno in chiaro) */
+function isHashed(stored) {
+  return typeof stored === 'string' && stored.startsWith('scrypt$');
+}
+
+/** Confronta la password inserita con quella salvata (hash o, per i vecchi utenti, testo in chiaro) */
+function verifyPassword(password, stored) {
+  if (!isHashed(stored)) {
+    return typeof stored === 'string' && safeEqual(password, stored);
+  }
+  const [, salt, hash] = stored.split('$');
+  const candidate = crypto.scryptSync(password, salt, 64).toString('hex');
+  return safeEqual(candidate, hash);
+}
+
+/** Confronto a tempo costante: evita di rivelare quanti caratteri coincidono */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/** Firma HMAC-SHA256 del payload, in base64url */
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+/**
+ * Crea una nuova sessione per l'utente e restituisce il token firmato.
+ * Il token è "payload.firma", dove il payload contiene id sessione, id utente e scadenza.
+ * La sessione viene salvata anche nel DB: così può essere revocata (logout).
+ */
+function createSession(db, userId) {
+  const now     = Date.now();
+  const session = {
+    id:        generateId(),
+    userId,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_TTL_MS).toISOString()
+  };
+  // Pulizia: rimuove le sessioni già scadute
+  db.sessions = db.sessions.filter(s => new Date(s.expiresAt).getTime() > now);
+  db.sessions.push(session);
+
+  const payload = Buffer.from(JSON.stringify({
+    sid: session.id,
+    uid: userId,
+    exp: now + SESSION_TTL_MS
+  })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+/**
+ * Token breve per un indirizzo (vedi URL_TOKEN_TTL_MS): stessa forma e firma di quello di sessione,
+ * più "use". Vale solo per quell'uso e solo finché la sessione da cui nasce è aperta.
+ */
+function createUrlToken(sessionId, userId, use) {
+  const exp     = Date.now() + URL_TOKEN_TTL_MS[use];
+  const payload = Buffer.from(JSON.stringify({ sid: sessionId, uid: userId, use, exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString() };
+}
+
+/** Verifica firma e scadenza del token; restituisce il payload o null se non valido */
+function verifyToken(token) {
+  const [payload, signature] = String(token).split('.');
+  if (!payload || !signature || !safeEqual(sign(payload), signature)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    if (!data.exp || data.exp < Date.now()) return null;
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+// ── 6c. HELPER: paginazione, ordinamento e filtri degli elenchi ──
+// Gli elenchi rispondono a pagine: { items, total, limit, offset, nextOffset }
+//  ?limit=20&offset=0   → quanti elementi e da dove partire (nextOffset = null: ultima pagina)
+//  ?sort=…&order=asc|desc
+//  ?summary=1           → playlist senza l'array delle canzoni (solo conteggio e durata)
+
+const PAGE_SIZE     = 20;  // Elementi per pagina se "limit" non è indicato
+const MAX_PAGE_SIZE = 100;
+
+// Ordinamenti delle playlist e verso predefinito di ciascuno
+const PLAYLIST_SORTS = {
+  createdAt: { compare: (a, b) => a.createdAt.localeCompare(b.createdAt),               order: 'desc' },
+  name:      { compare: (a, b) => a.name.localeCompare(b.name, 'it', { sensitivity: 'base' }), order: 'asc' },
+  songs:     { compare: (a, b) => a.songs.length - b.songs.length,                      order: 'desc' },
+  duration:  { compare: (a, b) => playlistSeconds(a) - playlistSeconds(b),              order: 'desc' }
+};
+
+// Elenchi di follower/seguiti e feed: solo per data
+const FOLLOW_SORTS = {
+  createdAt: { compare: (a, b) => a.createdAt.localeCompare(b.createdAt), order: 'desc' }
+};
+
+const USER_SORTS = {
+  createdAt: { compare: (a, b) => a.createdAt.localeCompare(b.createdAt),                       order: 'desc' },
+  name:      { compare: (a, b) => a.username.localeCompare(b.username, 'it', { sensitivity: 'base' }), order: 'asc' }
+};
+
+/** Durata totale di una playlist in secondi */
+function playlistSeconds(pl) {
+  return pl.songs.reduce((total, s) => total + (parseDuration(s.duration || '') || 0), 0);
+}
+
+/**
+ * Schema della query string di un elenco: limit, offset, sort (uno di "sorts"), order e createdAfter.
+ * extra: i filtri propri dell'elenco (es. genre per le playlist).
+ */
+function listQuery(sorts, extra = {}) {
+  return {
+    limit:        v.int({ min: 1, max: MAX_PAGE_SIZE, default: PAGE_SIZE }),
+    offset:       v.int({ min: 0, default: 0 }),
+    sort:         v.oneOf(Object.keys(sorts), { optional: true }),
+    order:        v.oneOf(['asc', 'desc'], { optional: true }),
+    createdAfter: v.date({ optional: true }),
+    ...extra
+  };
+}
+
+/** Opzioni per paginate() dalla query già validata con listQuery (ordinamento e verso predefiniti) */
+function listParams(query, sorts, defaultSort) {
+  const sort = query.sort || defaultSort;
+  return {
+    limit:        query.limit,
+    offset:       query.offset,
+    sort,
+    order:        query.order || sorts[sort].order,
+    createdAfter: query.createdAfter ? new Date(query.createdAfter) : null
+  };
+}
+
+/** Ordina (a parità, per id: le pagine restano stabili) e taglia la pagina richiesta */
+function paginate(items, sorts, { limit, offset, sort, order, createdAfter }) {
+  const dir    = order === 'asc' ? 1 : -1;
+  const sorted = items
+    .filter(item => !createdAfter || new Date(item.createdAt) > createdAfter)
+    .sort((a, b) => dir * sorts[sort].compare(a, b) || a.id.localeCompare(b.id));
+  const next = offset + limit;
+  return {
+    items:      sorted.slice(offset, next),
+    total:      sorted.length,
+    limit,
+    offset,
+    nextOffset: next < sorted.length ? next : null
+  };
+}
+
+/**
+ * Elenco di playlist (già filtrate per visibilità) con filtri, ordinamento e pagine.
+ * Filtri: genre (almeno un brano di quel genere), author (id o username), createdAfter.
+ * La query è quella validata con PLAYLIST_LIST_QUERY.
+ */
+function listPlaylists(db, playlists, query, viewer = null) {
+  const params = listParams(query, PLAYLIST_SORTS, 'createdAt');
+  let list = playlists.map(pl => resolveSmart(db, pl, viewer)); // Filtri e ordinamenti vedono i brani calcolati
+  if (query.genre) {
+    const genre = String(query.genre).toLowerCase();
+    list = list.filter(pl => pl.songs.some(s => (s.genre || '').toLowerCase() === genre));
+  }
+  if (query.author) {
+    const author = String(query.author).toLowerCase();
+    const user   = db.users.find(u => u.id === query.author || u.username.toLowerCase() === author);
+    list = user ? list.filter(pl => pl.userId === user.id) : [];
+  }
+
+  const page = paginate(list, PLAYLIST_SORTS, params);
+  page.items = page.items.map(pl => (query.summary ? summarizePlaylist(db, pl, viewer) : withPeople(db, pl, viewer)));
+  return page;
+}
+
+/** Versione leggera di una playlist per gli elenchi: niente canzoni, solo quante sono e quanto durano */
+function summarizePlaylist(db, pl, viewer = null) {
+  pl = resolveSmart(db, pl, viewer);
+  const { songs, ...rest } = pl;
+  const author = db.users.find(u => u.id === pl.userId);
+  const likes  = likesOf(db, pl.id, null);
+  return {
+    ...rest,
+    songCount:    songs.length,
+    duration:     playlistSeconds(pl),
+    likeCount:    likes.length,
+    liked:        !!viewer && likes.some(l => l.userId === viewer.id),
+    forkCount:    forkCount(db, pl),
+    forkedFrom:   forkOrigin(db, pl, viewer),
+    commentCount: commentCount(db, pl),
+    author:       author ? { id: author.id, username: author.username, avatar: author.avatar, avatarImage: author.avatarImage } : null
+  };
+}
+
+/**
+ * Utente senza password, con il numero delle sue playlist pubbliche, dei follower e dei seguiti.
+ * viewer (l'utente loggato, se c'è) serve a sapere se lo segue già.
+ */
+function userWithStats(db, user, viewer = null) {
+  return {
+    ...sanitizeUser(user),
+    playlistCount:  db.playlists.filter(p => p.userId === user.id && (p.visibility || 'public') === 'public').length,
+    followerCount:  db.follows.filter(f => f.followeeId === user.id).length,
+    followingCount: db.follows.filter(f => f.followerId === user.id).length,
+    isFollowing:    !!viewer && isFollowing(db, viewer.id, user.id)
+  };
+}
+
+/** followerId segue followeeId? */
+function isFollowing(db, followerId, followeeId) {
+  return db.follows.some(f => f.followerId === followerId && f.followeeId === followeeId);
+}
+
+/** Evento in tempo reale: profilo (o contatori) di un utente cambiati. I profili sono pubblici */
+function publishUser(db, user) {
+  const publicUser = userWithStats(db, user);
+  delete publicUser.isFollowing; // Dipende da chi guarda
+  live.publish('user.updated', { user: publicUser });
+}
+
+// ── 6d. SCHEMI DI VALIDAZIONE ────────────────────────────────
+// Le regole dei campi usati da più route (vedi validation.js): limiti, caratteri e formati
+// stanno qui, in un posto solo. Ogni route dichiara il suo schema con validate().
+
+const ID_PARAMS     = { id: v.id() };
+const USER_PARAMS   = { userId: v.id() };
+const MEMBER_PARAMS = { id: v.id(), userId: v.id() };
+const SONGS_PARAMS  = { playlistId: v.id() };
+const SONG_PARAMS   = { playlistId: v.id(), songId: v.id() };
+const SHARE_PARAMS  = { id: v.id(), shareId: v.id() };
+const TOKEN_PARAMS  = { token: v.id({ label: 'il link' }) };
+
+const USERNAME = v.text({
+  min: 1, max: MAX_USERNAME_LENGTH, label: 'lo username',
+  pattern: /^[\p{L}\p{N}._-]+$/u, hint: 'può contenere solo lettere, numeri, punto, trattino e trattino basso'
+});
+const NEW_PASSWORD = v.text({ min: MIN_PASSWORD_LENGTH, max: MAX_PASSWORD_LENGTH, trim: false, label: 'la password' });
+const PROFILE_FIELDS = {
+  username: USERNAME,
+  avatar:   v.emoji({ label: "l'avatar" }),
+  bio:      v.text({ max: MAX_BIO_LENGTH, multiline: true, label: 'la bio' })
+};
+
+const PLAYLIST_FIELDS = {
+  name:       v.text({ min: 1, max: MAX_NAME_LENGTH, label: 'il nome' }),
+  subtitle:   v.text({ max: MAX_SUBTITLE_LENGTH, label: 'il sottotitolo' }),
+  cover:      v.emoji({ label: 'la cover' }),
+  visibility: v.oneOf(VISIBILITIES, { label: 'la visibilità' }),
+  // Le regole di una playlist smart hanno una struttura propria: le controlla smartPlaylists.js
+  smart:      v.custom(input => {
+    const result = validateSmart(input);
+    return result.error ? result : { value: result.smart };
+  }, { label: 'le regole' })
+};
+
+const MEMBER_ROLE = v.oneOf(MEMBER_ROLES, { label: 'il ruolo' });
+
+const COMMENT_TEXT   = v.text({ min: 1, max: MAX_COMMENT_LENGTH, multiline: true, label: 'il commento' });
+const COMMENT_PARAMS = { id: v.id(), commentId: v.id() };
+
+const SONG_FIELDS = {
+  title:    v.text({ min: 1, max: MAX_SONG_TEXT, label: 'il titolo' }),
+  artist:   v.text({ min: 1, max: MAX_SONG_TEXT, label: "l'artista" }),
+  album:    v.text({ max: MAX_SONG_TEXT, label: "l'album" }),
+  duration: v.duration({ label: 'la durata' }),
+  genre:    v.text({ max: MAX_GENRE_LENGTH, label: 'il genere' })
+};
+
+// Query di GET /api/playlists e /api/users/:userId/playlists (vedi listPlaylists)
+const PLAYLIST_LIST_QUERY = listQuery(PLAYLIST_SORTS, {
+  genre:   v.text({ max: MAX_GENRE_LENGTH, optional: true }),
+  author:  v.text({ max: MAX_USERNAME_LENGTH, optional: true }),
+  summary: v.bool({ default: false })
+});
+
 // ── 7. ROUTER EXPRESS ────────────────────────────────────────
 // express.Router() crea un mini-router modulare; utile per organizzare le route per dominio
 const authRouter      = express.Router();
 const playlistRouter  = express.Router();
-const songRouter      = express.Router();
+// mergeParams: true → il router vede anche :playlistId, definito nel percorso di montaggio
+const songRouter      = express.Router({ mergeParams: true });
 const usersRouter     = express.Router();
+const mediaRouter     = express.Router();
+const searchRouter    = express.Router();
+const feedRouter      = express.Router();
+const libraryRouter   = express.Router();
+const historyRouter   = express.Router();
+const recommendRouter = express.Router();
+const liveRouter      = express.Router();
+const imagesRouter    = express.Router();
+const trashRouter     = express.Router();
+const sharedRouter    = express.Router();
+const pagesRouter     = express.Router(); // Pagine HTML fuori da /api (link di condivisione)
+const notificationsRouter = express.Router();
 
 // ── 8. ROUTE: AUTENTICAZIONE (/api/auth) ─────────────────────
 // POST /api/auth/register → crea nuovo utente
-authRouter.post('/register', (req, res) => {
+// validate() controlla il body prima dell'handler: qui arrivano solo dati validi e già ripuliti
+authRouter.post('/register', validate({
+  body: { ...v.partial(PROFILE_FIELDS), username: USERNAME, password: NEW_PASSWORD }
+}), (req, res) => {
   // Destructuring del body (Express lo popola grazie a express.json())
   const { username, password, avatar, bio } = req.body;
 
-  // Validazione: campo obbligatorio
-  if (!username || !password) {
-    // res.status() imposta il codice HTTP, .json() invia la risposta JSON
-    return res.status(400).json({ error: 'Username e password sono obbligatori' });
-  }
-
   const db = readDB();
 
   // Controllo duplicati (Array.find = ricerca lineare)
-  const exists = db.users.find(u => u.username.toLowerCase() === username.toLowerCase());
-  if (exists) {
-    return res.status(409).json({ error: 'Username già in uso' });
+  if (usernameTaken(db, username)) {
+    // res.status() imposta il codice HTTP, .json() invia la risposta JSON
+    return res.status(409).json({ error: 'Username già in uso', code: 'username_taken', field: 'username' });
   }
 
   // Crea il nuovo utente
   const newUser = {
     id: generateId(),
-    username: username.trim(),
-    password,             // ⚠️ In produzione usare bcrypt per hashing!
+    username,
+    password: hashPassword(password), // Mai in chiaro: salt + hash scrypt
     avatar: avatar || '🎵',
     bio: bio || '',
     createdAt: new Date().toISOString()
   };
 
   db.users.push(newUser);
+  const token = createSession(db, newUser.id);
   writeDB(db);
 
   // 201 Created: convenzione REST per risorse create con successo
-  res.status(201).json({ message: 'Registrazione avvenuta', user: sanitizeUser(newUser) });
+  res.status(201).json({ message: 'Registrazione avvenuta', token, user: sanitizeUser(newUser) });
 });
 
-// POST /api/auth/login → verifica credenziali
-authRouter.post('/login', (req, res) => {
-  const { username, password } = req.body;
-
-  if (!username || !password) {
-    return res.status(400).json({ error: 'Credenziali mancanti' });
+// POST /api/auth/login → verifica credenziali e apre una sessione
+// (lo username non ha il formato di quelli nuovi: gli account più vecchi potrebbero non rispettarlo)
+authRouter.post('/login', validate({
+  body: {
+    username: v.text({ min: 1, max: MAX_USERNAME_LENGTH, label: 'lo username' }),
+    password: v.text({ min: 1, max: MAX_PASSWORD_LENGTH, trim: false, label: 'la password' })
   }
+}), (req, res) => {
+  const { username, password } = req.body;
 
   const db   = readDB();
-  const user = db.users.find(u => u.username === username && u.password === password);
+  const user = db.users.find(u => u.username === username);
 
-  if (!user) {
+  if (!user || !verifyPassword(password, user.password)) {
     // 401 Unauthorized: credenziali non valide
     return res.status(401).json({ error: 'Username o password errati' });
   }
 
-  // In questa demo restituiamo direttamente i dati utente (no sessioni server-side).
-  // In produzione si userebbero JWT o express-session.
-  res.json({ message: 'Login ok', user: sanitizeUser(user) });
+  // Migrazione: gli utenti registrati prima dell'hashing hanno la password in chiaro.
+  // Al primo login riuscito la sostituiamo con il suo hash.
+  if (!isHashed(user.password)) {
+    user.password = hashPassword(password);
+  }
+
+  const token = createSession(db, user.id);
+  writeDB(db);
+
+  // Il client deve inviare il token nell'header "Authorization: Bearer <token>"
+  res.json({ message: 'Login ok', token, user: sanitizeUser(user) });
+});
+
+// POST /api/auth/url-token { use: media|live|export } → token breve da mettere in un indirizzo
+authRouter.post('/url-token', requireAuth, validate({
+  body: { use: v.oneOf(Object.keys(URL_TOKEN_TTL_MS), { label: "l'uso" }) }
+}), (req, res) => {
+  res.json(createUrlToken(req.sessionId, req.currentUser.id, req.body.use));
+});
+
+// GET /api/auth/me → utente collegato al token (serve al client per ripristinare la sessione)
+authRouter.get('/me', requireAuth, (req, res) => {
+  res.json({ user: sanitizeUser(req.currentUser) });
+});
+
+// POST /api/auth/logout → revoca la sessione corrente
+authRouter.post('/logout', requireAuth, (req, res) => {
+  const db = readDB();
+  db.sessions = db.sessions.filter(s => s.id !== req.sessionId);
+  writeDB(db);
+  live.disconnect(req.sessionId); // Lo stream di questa sessione non deve ricevere altro
+  res.json({ message: 'Logout effettuato' });
+});
+
+// POST /api/auth/logout-all → revoca tutte le sessioni dell'utente (es. password compromessa)
+authRouter.post('/logout-all', requireAuth, (req, res) => {
+  const db = readDB();
+  db.sessions.filter(s => s.userId === req.currentUser.id).forEach(s => live.disconnect(s.id));
+  db.sessions = db.sessions.filter(s => s.userId !== req.currentUser.id);
+  writeDB(db);
+  res.json({ message: 'Tutte le sessioni sono state chiuse' });
+});
+
+// ── 8b. ROUTE: PROFILO E ACCOUNT (/api/auth/me, /api/auth/password) ──
+
+/** Lo username è già usato da un altro utente? (senza distinguere maiuscole/minuscole) */
+function usernameTaken(db, username, exceptUserId = null) {
+  const name = String(username).trim().toLowerCase();
+  return db.users.some(u => u.id !== exceptUserId && u.username.toLowerCase() === name);
+}
+
+// PATCH /api/auth/me { username?, avatar?, bio? } → modifica il proprio profilo (solo i campi inviati)
+authRouter.patch('/me', requireAuth, validate({ body: v.partial(PROFILE_FIELDS) }), (req, res) => {
+  const { username, avatar, bio } = req.body;
+  const db   = readDB();
+  const user = db.users.find(u => u.id === req.currentUser.id);
+
+  if (username !== undefined) {
+    if (usernameTaken(db, username, user.id)) {
+      return res.status(409).json({ error: 'Username già in uso', code: 'username_taken', field: 'username' });
+    }
+    user.username = username;
+  }
+  if (avatar !== undefined) user.avatar = avatar;
+  if (bio    !== undefined) user.bio    = bio;
+
+  writeDB(db);
+  publishUser(db, user);
+  res.json({ user: sanitizeUser(user) });
+});
+
+// PUT /api/auth/me/avatar → carica un'immagine come avatar (body: il file, Content-Type image/png o image/jpeg).
+// DELETE → la toglie. L'emoji di "avatar" resta e torna a essere mostrata quando non c'è un'immagine.
+authRouter.put('/me/avatar', requireAuth, express.raw({ type: 'image/*', limit: MAX_IMAGE_SIZE }), async (req, res) => {
+  const upload = Buffer.isBuffer(req.body) && req.body.length ? req.body : null;
+  if (!upload) {
+    return res.status(400).json({ error: "Manca l'immagine (Content-Type image/png o image/jpeg)", code: 'required', field: 'image' });
+  }
+
+  const saved = await saveImage(upload);
+  if (saved.error) return res.status(saved.status).json({ error: saved.error, code: saved.code, field: 'image' });
+
+  const db   = readDB();
+  const user = db.users.find(u => u.id === req.currentUser.id);
+  if (!user) { // Account eliminato mentre l'immagine era in lavorazione
+    removeImage(saved.image);
+    return res.status(401).json({ error: 'Utente non trovato' });
+  }
+  removeImage(user.avatarImage); // Le miniature della vecchia immagine non servono più
+  user.avatarImage = saved.image;
+  writeDB(db);
+  publishUser(db, user);
+  res.json({ user: sanitizeUser(user) });
+});
+
+authRouter.delete('/me/avatar', requireAuth, (req, res) => {
+  const db   = readDB();
+  const user = db.users.find(u => u.id === req.currentUser.id);
+  removeImage(user.avatarImage);
+  delete user.avatarImage;
+  writeDB(db);
+  publishUser(db, user);
+  res.json({ user: sanitizeUser(user) });
+});
+
+// PUT /api/auth/password { currentPassword, newPassword } → cambia la password.
+// Le altre sessioni vengono chiuse (chi avesse la vecchia password resta fuori); questa resta aperta.
+authRouter.put('/password', requireAuth, validate({
+  body: {
+    currentPassword: v.text({ min: 1, max: MAX_PASSWORD_LENGTH, trim: false, label: 'la password attuale' }),
+    newPassword:     { ...NEW_PASSWORD, label: 'la nuova password' }
+  }
+}), (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  const db   = readDB();
+  const user = db.users.find(u => u.id === req.currentUser.id);
+  if (!verifyPassword(currentPassword, user.password)) {
+    return res.status(403).json({ error: 'La password attuale non è corretta', code: 'wrong_password', field: 'currentPassword' });
+  }
+
+  user.password = hashPassword(newPassword);
+  const others = db.sessions.filter(s => s.userId === user.id && s.id !== req.sessionId);
+  db.sessions = db.sessions.filter(s => !others.includes(s));
+  writeDB(db);
+  others.forEach(s => live.disconnect(s.id));
+  res.json({ message: 'Password aggiornata', closedSessions: others.length });
+});
+
+// DELETE /api/auth/me { password, playlists: 'delete'|'transfer', transferTo? } → elimina l'account.
+// Le playlist dell'utente vengono eliminate oppure cedute a un altro utente (per username);
+// spariscono anche collaborazioni, "mi piace", follow, ascolti, sessioni e cestino.
+// Le canzoni aggiunte nelle playlist degli altri restano: fanno parte di quelle playlist.
+authRouter.delete('/me', requireAuth, validate({
+  body: {
+    password:   v.text({ min: 1, max: MAX_PASSWORD_LENGTH, trim: false, label: 'la password' }),
+    playlists:  v.oneOf(['delete', 'transfer'], { default: 'delete' }),
+    transferTo: v.text({ max: MAX_USERNAME_LENGTH, optional: true, label: "l'utente a cui cedere le playlist" })
+  }
+}), (req, res) => {
+  const { password, playlists, transferTo } = req.body;
+  if (playlists === 'transfer' && !transferTo) {
+    return res.status(400).json({ error: "Manca l'utente a cui cedere le playlist", code: 'required', field: 'transferTo' });
+  }
+
+  const db = readDB();
+  const me = db.users.find(u => u.id === req.currentUser.id);
+  if (!verifyPassword(password, me.password)) {
+    return res.status(403).json({ error: 'Password non corretta', code: 'wrong_password', field: 'password' });
+  }
+
+  let heir = null;
+  if (playlists === 'transfer') {
+    heir = db.users.find(u => u.username.toLowerCase() === transferTo.toLowerCase());
+    if (!heir) return res.status(404).json({ error: 'Utente a cui cedere le playlist non trovato', field: 'transferTo' });
+    if (heir.id === me.id) {
+      return res.status(400).json({ error: 'Scegli un altro utente a cui cedere le playlist', field: 'transferTo' });
+    }
+  }
+
+  const events = []; // Eventi in tempo reale, pubblicati dopo il salvataggio: [tipo, dati, ...versioni]
+  const own    = new Set();
+  db.playlists.forEach(pl => {
+    const before = accessOf(pl);
+    if (pl.userId === me.id && heir) {
+      pl.userId  = heir.id;
+      pl.members = (pl.members || []).filter(m => m.userId !== heir.id); // Se collaborava, ora è il proprietario
+      events.push(['playlist.updated', { playlistId: pl.id, people: peopleOf(pl) }, before, pl]);
+    } else if (pl.userId === me.id) {
+      own.add(pl.id);
+      pl.songs.forEach(removeMedia);
+      removeImage(pl.coverImage);
+      events.push(['playlist.deleted', { playlistId: pl.id }, pl]);
+    } else if ((pl.members || []).some(m => m.userId === me.id)) {
+      pl.members = pl.members.filter(m => m.userId !== me.id);
+      events.push(['playlist.updated', { playlistId: pl.id, people: peopleOf(pl) }, before, pl]);
+    }
+  });
+
+  // Chi mi seguiva o era seguito da me vedrà cambiare i suoi contatori
+  const related  = new Set(db.follows.flatMap(f => (f.followerId === me.id ? [f.followeeId]
+    : f.followeeId === me.id ? [f.followerId] : [])));
+  const sessions = db.sessions.filter(s => s.userId === me.id);
+
+  db.playlists     = db.playlists.filter(pl => !own.has(pl.id));
+  db.likes         = db.likes.filter(l => l.userId !== me.id && !own.has(l.playlistId));
+  db.reactions     = db.reactions.filter(r => r.userId !== me.id);
+  db.notifications = db.notifications.filter(n => n.userId !== me.id && n.actorId !== me.id);
+  db.follows       = db.follows.filter(f => f.followerId !== me.id && f.followeeId !== me.id);
+  db.plays         = db.plays.filter(p => p.userId !== me.id);
+  db.sessions      = db.sessions.filter(s => s.userId !== me.id);
+  db.users         = db.users.filter(u => u.id !== me.id);
+  const trashed = db.trash.filter(e => e.userId === me.id);
+  db.trash         = db.trash.filter(e => e.userId !== me.id);
+  forgetPlaylists(db, own);
+  forgetTrashed(db, trashed);
+  // I miei commenti sulle playlist degli altri: dove qualcuno mi ha risposto resta il segnaposto
+  db.comments.filter(c => c.userId === me.id && !c.deleted).forEach(c => removeComment(db, c));
+  writeDB(db);
+  removeImage(me.avatarImage);
+  trashed.forEach(purgeFiles);
+
+  events.forEach(([type, data, ...versions]) => publishPlaylist(type, data, ...versions));
+  db.users.filter(u => related.has(u.id)).forEach(u => publishUser(db, u));
+  live.publish('user.deleted', { userId: me.id });
+  sessions.forEach(s => live.disconnect(s.id));
+  res.json({ message: 'Account eliminato' });
 });
 
 /** Rimuove la password prima di inviare i dati al client */
 function sanitizeUser(user) {
-  const { password, ...safe } = user; // Object destructuring con rest operator
+  // Object destructuring con rest operator; le preferenze delle notifiche sono affari suoi
+  const { password, notificationPrefs, ...safe } = user;
   return safe;
 }
 
 // ── 9. MIDDLEWARE DI AUTENTICAZIONE ──────────────────────────
+/** Estrae il token dall'header "Authorization: Bearer <token>" */
+function bearerToken(req) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return scheme === 'Bearer' ? token : null;
+}
+
+/**
+ * Verifica un token: restituisce { user, sessionId } oppure { error } con il motivo del rifiuto.
+ * use: null per il token di sessione (header Authorization), altrimenti l'uso del token breve
+ * preso da un indirizzo. Un token vale solo dove è previsto: mai uno breve come sessione, né viceversa.
+ */
+function authenticate(token, use = null) {
+  if (!token) return { error: 'Non autenticato' };
+
+  // 1) Firma e scadenza: un token manomesso o vecchio viene scartato subito
+  const payload = verifyToken(token);
+  if (!payload) return { error: 'Sessione non valida o scaduta' };
+  if ((payload.use || null) !== use) return { error: 'Token non valido per questa richiesta' };
+
+  // 2) La sessione deve esistere ancora nel DB (non revocata con il logout).
+  // Succede a ogni richiesta: si cerca nella vista, e si copia solo l'utente trovato
+  const db      = viewDB();
+  const session = db.sessions.find(s => s.id === payload.sid && s.userId === payload.uid);
+  if (!session) return { error: 'Sessione revocata' };
+
+  const user = db.users.find(u => u.id === session.userId);
+  if (!user) return { error: 'Utente non trovato' };
+
+  return { user: store.copy(user), sessionId: session.id };
+}
+
 // Middleware che protegge le route private: controlla l'header Authorization
 function requireAuth(req, res, next) {
-  const userId = req.headers['x-user-id']; // Header custom per identificare l'utente
-  if (!userId) {
-    return res.status(401).json({ error: 'Non autenticato' });
+  const auth = authenticate(bearerToken(req));
+  if (auth.error) {
+    return res.status(401).json({ error: auth.error });
   }
-  const db   = readDB();
-  const user = db.users.find(u => u.id === userId);
-  if (!user) {
-    return res.status(401).json({ error: 'Utente non trovato' });
+  // Attacca utente e sessione all'oggetto req: i middleware successivi li trovano lì
+  req.currentUser = auth.user;
+  req.sessionId   = auth.sessionId;
+  next();
+}
+
+// Come requireAuth, ma senza bloccare: se il token c'è ed è valido imposta req.currentUser,
+// altrimenti la richiesta prosegue da anonima. Serve alle route pubbliche che mostrano
+// di più al proprietario (es. le sue playlist private).
+function optionalAuth(req, res, next) {
+  const auth = authenticate(bearerToken(req));
+  if (!auth.error) {
+    req.currentUser = auth.user;
+    req.sessionId   = auth.sessionId;
   }
-  // Attacca l'utente all'oggetto req: i middleware successivi lo trovano lì
-  req.currentUser = user;
   next();
 }
 
-// ── 10. ROUTE: PLAYLIST (/api/playlists) ─────────────────────
+// Come optionalAuth, per le route aperte da un indirizzo (<audio>, EventSource, link di download):
+// accetta anche ?token=… con un token breve per quell'uso (vedi createUrlToken), mai quello di sessione
+function urlAuth(use) {
+  return (req, res, next) => {
+    const bearer = bearerToken(req);
+    const auth   = bearer ? authenticate(bearer) : authenticate(req.query.token, use);
+    if (!auth.error) {
+      req.currentUser = auth.user;
+      req.sessionId   = auth.sessionId;
+    }
+    next();
+  };
+}
 
-// GET /api/playlists → tutte le playlist (pubbliche, per la sezione "Scopri")
-playlistRouter.get('/', (req, res) => {
-  const db = readDB();
-  // Map per arricchire ogni playlist con le info dell'autore
-  const enriched = db.playlists.map(pl => ({
+/**
+ * Può questo utente (anche null = anonimo) vedere la playlist?
+ * direct = true quando la playlist è richiesta per id (link diretto) e non in un elenco.
+ */
+function canView(pl, user, direct = false) {
+  if (roleOf(pl, user)) return true; // Proprietario e collaboratori vedono sempre la playlist
+  const visibility = pl.visibility || 'public'; // Le playlist create prima del campo sono pubbliche
+  return visibility === 'public' || (visibility === 'unlisted' && direct);
+}
+
+/** Ruolo dell'utente nella playlist: 'owner', 'coowner', 'editor' oppure null */
+function roleOf(pl, user) {
+  if (!user) return null;
+  if (pl.userId === user.id) return 'owner';
+  const member = (pl.members || []).find(m => m.userId === user.id);
+  return member ? member.role : null;
+}
+
+/** Può aggiungere/rimuovere canzoni? (proprietario, co-proprietari, editor) */
+function canEditSongs(pl, user) {
+  return roleOf(pl, user) !== null;
+}
+
+/** Può modificare nome, cover, visibilità e membri? (proprietario e co-proprietari) */
+function canManage(pl, user) {
+  return ['owner', 'coowner'].includes(roleOf(pl, user));
+}
+
+/**
+ * Aggiunge alla playlist le info pubbliche di autore e collaboratori e i "mi piace"
+ * (quanti sono e se c'è anche quello di viewer) della playlist e di ogni canzone,
+ * più il numero di commenti e le reazioni di ogni canzone
+ */
+function withPeople(db, pl, viewer = null) {
+  pl = resolveSmart(db, pl, viewer);
+  const findUser = id => sanitizeUser(db.users.find(u => u.id === id) || {});
+  // Nelle playlist smart i brani vengono da altre playlist: i loro "mi piace" si trovano
+  // per id del brano (unico in tutto il DB), non per id della playlist
+  const likes    = db.likes.filter(l => l.playlistId === pl.id || (pl.smart && l.songId !== null));
+  const count    = songId => likes.filter(l => l.songId === songId).length;
+  const liked    = songId => !!viewer && likes.some(l => l.songId === songId && l.userId === viewer.id);
+  return {
     ...pl,
-    author: sanitizeUser(db.users.find(u => u.id === pl.userId) || {})
-  }));
-  res.json(enriched);
+    author:       findUser(pl.userId),
+    members:      (pl.members || []).map(m => ({ ...m, user: findUser(m.userId) })),
+    likeCount:    count(null),
+    liked:        liked(null),
+    forkCount:    forkCount(db, pl),
+    forkedFrom:   forkOrigin(db, pl, viewer),
+    commentCount: commentCount(db, pl),
+    songs:        pl.songs.map(s => ({
+      ...s, likeCount: count(s.id), liked: liked(s.id), reactions: reactionsOf(db, s.id, viewer)
+    }))
+  };
+}
+
+/** Quante copie (fork) sono state fatte della playlist */
+function forkCount(db, pl) {
+  return db.playlists.filter(p => p.forkedFrom?.playlistId === pl.id).length;
+}
+
+/**
+ * Da dove viene una copia: l'originale com'è adesso se viewer lo può ancora vedere,
+ * altrimenti solo il nome che aveva al momento della copia. undefined se non è una copia.
+ */
+function forkOrigin(db, pl, viewer) {
+  if (!pl.forkedFrom) return undefined;
+  const { playlistId, name, forkedAt } = pl.forkedFrom;
+  const original = db.playlists.find(p => p.id === playlistId);
+  const visible  = !!original && canView(original, viewer, true);
+  return { playlistId, name: visible ? original.name : name, forkedAt, available: visible };
+}
+
+// Playlist smart già calcolate in questa richiesta (evita di ripetere il calcolo)
+const resolvedSmart = new WeakSet();
+
+/**
+ * Playlist smart con le canzoni calcolate dalle sue regole; le altre playlist restano come sono.
+ * I brani vengono dalle playlist (non smart) del proprietario che viewer può vedere: una playlist
+ * smart pubblica non mostra mai i brani di una playlist privata. Ogni brano porta con sé
+ * playlistId e playlistName della playlist da cui viene.
+ */
+function resolveSmart(db, pl, viewer = null) {
+  if (!pl.smart || resolvedSmart.has(pl)) return pl;
+  const owner = db.users.find(u => u.id === pl.userId);
+  const songs = db.playlists
+    .filter(src => !src.smart && roleOf(src, owner) && canView(src, viewer, true))
+    .flatMap(src => src.songs.map(s => ({
+      ...s,
+      addedAt:      s.addedAt || src.createdAt, // Le canzoni più vecchie non hanno addedAt
+      playlistId:   src.id,
+      playlistName: src.name
+    })));
+  const resolved = { ...pl, songs: evaluateSmart(pl.smart, songs) };
+  resolvedSmart.add(resolved);
+  return resolved;
+}
+
+/** Chi può vedere la playlist, fotografato adesso: le modifiche successive non lo cambiano */
+function accessOf(pl) {
+  return { userId: pl.userId, visibility: pl.visibility, members: [...(pl.members || [])] };
+}
+
+/** Proprietario e collaboratori: negli eventi sui membri, chi è appena entrato sa che la playlist è sua */
+function peopleOf(pl) {
+  return [pl.userId, ...(pl.members || []).map(m => m.userId)];
+}
+
+/**
+ * Evento in tempo reale su una playlist. Lo riceve chi la vede negli elenchi in almeno
+ * una delle versioni indicate (prima e dopo la modifica): così anche chi ha appena perso
+ * l'accesso viene avvisato e può toglierla dalla sua lista.
+ */
+function publishPlaylist(type, data, ...versions) {
+  const access = versions.filter(Boolean).map(accessOf);
+  live.publish(type, data, user => access.some(pl => canView(pl, user)));
+}
+
+/** Risponde 400 se la playlist è smart (i suoi brani non si modificano a mano); true se ha risposto */
+function rejectSmart(pl, res) {
+  if (!pl?.smart) return false;
+  res.status(400).json({ error: 'Le playlist smart si aggiornano da sole: i brani non si modificano a mano' });
+  return true;
+}
+
+/** "Mi piace" di una playlist (songId null) o di una sua canzone */
+function likesOf(db, playlistId, songId) {
+  return db.likes.filter(l => l.playlistId === playlistId && l.songId === songId);
+}
+
+/**
+ * Mette o toglie il "mi piace" di user (songId null = alla playlist).
+ * Ripetere la stessa operazione non cambia nulla. Restituisce { liked, likeCount }.
+ */
+function setLike(db, user, playlistId, songId, liked) {
+  const mine = l => l.userId === user.id && l.playlistId === playlistId && l.songId === songId;
+  const had  = db.likes.some(mine);
+  if (liked && !had) {
+    db.likes.push({ userId: user.id, playlistId, songId, createdAt: new Date().toISOString() });
+  }
+  if (!liked && had) db.likes = db.likes.filter(l => !mine(l));
+  return { liked, likeCount: likesOf(db, playlistId, songId).length };
+}
+
+// ── 10. ROUTE: PLAYLIST (/api/playlists) ─────────────────────
+
+// GET /api/playlists → playlist pubbliche (per la sezione "Scopri") + tutte quelle dell'utente loggato
+// A pagine, con ordinamento e filtri (vedi listPlaylists); ?summary=1 per non ricevere le canzoni
+playlistRouter.get('/', optionalAuth, validate({ query: PLAYLIST_LIST_QUERY }), (req, res) => {
+  const db = viewDB();
+  const visible = db.playlists.filter(pl => canView(pl, req.currentUser));
+  res.json(listPlaylists(db, visible, req.query, req.currentUser));
 });
 
-// GET /api/playlists/mine → solo le playlist dell'utente loggato (route protetta)
+// GET /api/playlists/mine → playlist dell'utente loggato, anche quelle condivise con lui (route protetta)
 playlistRouter.get('/mine', requireAuth, (req, res) => {
-  const db = readDB();
-  const mine = db.playlists.filter(pl => pl.userId === req.currentUser.id);
-  res.json(mine);
+  const db = viewDB();
+  const mine = db.playlists.filter(pl => roleOf(pl, req.currentUser));
+  // Map per arricchire ogni playlist con le info di autore e collaboratori
+  res.json(mine.map(pl => withPeople(db, pl, req.currentUser)));
 });
 
 // GET /api/playlists/:id → singola playlist (route parametrica con :id)
-playlistRouter.get('/:id', (req, res) => {
+playlistRouter.get('/:id', optionalAuth, validate({ params: ID_PARAMS }), (req, res) => {
   // req.params contiene i parametri di percorso (es. :id)
   const { id } = req.params;
-  const db = readDB();
+  const db = viewDB();
   const pl = db.playlists.find(p => p.id === id);
-  if (!pl) {
+  // Una playlist privata di altri risponde 404 come se non esistesse: non ne riveliamo l'esistenza
+  if (!pl || !canView(pl, req.currentUser, true)) {
     // 404 Not Found: risorsa inesistente
     return res.status(404).json({ error: 'Playlist non trovata' });
   }
-  const author = sanitizeUser(db.users.find(u => u.id === pl.userId) || {});
-  res.json({ ...pl, author });
+  res.json(withPeople(db, pl, req.currentUser));
 });
 
 // POST /api/playlists → crea nuova playlist (protetta)
-playlistRouter.post('/', requireAuth, (req, res) => {
-  const { name, subtitle, cover } = req.body;
-  if (!name) {
-    return res.status(400).json({ error: 'Il nome è obbligatorio' });
-  }
+// Con "smart" nel body crea una playlist smart: { match, rules, sort, order, limit } (vedi smartPlaylists.js)
+playlistRouter.post('/', requireAuth, validate({
+  body: { ...v.partial(PLAYLIST_FIELDS), name: PLAYLIST_FIELDS.name }
+}), (req, res) => {
+  const { name, subtitle, cover, visibility, smart } = req.body;
   const db = readDB();
   const newPlaylist = {
-    id:        generateId(),
-    userId:    req.currentUser.id,
-    name:      name.trim(),
-    subtitle:  subtitle?.trim() || '',
-    cover:     cover || '🎵',
-    songs:     [],            // Array vuoto: le canzoni si aggiungono dopo
-    createdAt: new Date().toISOString()
+    id:         generateId(),
+    userId:     req.currentUser.id,
+    name,
+    subtitle:   subtitle || '',
+    cover:      cover || '🎵',
+    visibility: visibility || 'public',
+    members:    [],            // Collaboratori invitati: { userId, role, addedAt }
+    songs:      [],            // Array vuoto: le canzoni si aggiungono dopo
+    createdAt:  new Date().toISOString()
   };
+  if (smart) newPlaylist.smart = smart; // Le canzoni restano vuote: si calcolano a ogni lettura
   db.playlists.push(newPlaylist);
+  recordRevision(db, newPlaylist, req.currentUser, 'create', {});
   writeDB(db);
-  res.status(201).json(newPlaylist);
+  publishPlaylist('playlist.created', { playlistId: newPlaylist.id, userId: newPlaylist.userId }, newPlaylist);
+  res.status(201).json(withPeople(db, newPlaylist, req.currentUser));
 });
 
 // PUT /api/playlists/:id → modifica playlist (protetta + proprietà verificata)
-playlistRouter.put('/:id', requireAuth, (req, res) => {
+playlistRouter.put('/:id', requireAuth, validate({ params: ID_PARAMS, body: v.partial(PLAYLIST_FIELDS) }), (req, res) => {
   const { id }               = req.params;
-  const { name, subtitle, cover } = req.body;
+  const { name, subtitle, cover, visibility } = req.body;
   const db = readDB();
   const idx = db.playlists.findIndex(p => p.id === id);
 
   if (idx === -1) return res.status(404).json({ error: 'Playlist non trovata' });
 
-  // Verifica proprietà: solo il creatore può modificarla
-  if (db.playlists[idx].userId !== req.currentUser.id) {
+  // Verifica permessi: solo il creatore e i co-proprietari possono modificarla
+  if (!canManage(db.playlists[idx], req.currentUser)) {
     return res.status(403).json({ error: 'Non autorizzato' }); // 403 Forbidden
   }
 
+  const before = accessOf(db.playlists[idx]);
+  const prev   = snapshot(db.playlists[idx]);
+
+  // Nuove regole: solo per le playlist nate smart (una playlist normale ha brani veri)
+  let smart = db.playlists[idx].smart;
+  if (req.body.smart !== undefined) {
+    if (!smart) return res.status(400).json({ error: 'Solo le playlist smart hanno delle regole', field: 'smart' });
+    smart = req.body.smart;
+  }
+
   // Aggiorna solo i campi forniti (Object spread per immutabilità logica)
   db.playlists[idx] = {
     ...db.playlists[idx],
-    name:     name     || db.playlists[idx].name,
-    subtitle: subtitle !== undefined ? subtitle : db.playlists[idx].subtitle,
-    cover:    cover    || db.playlists[idx].cover,
+    name:       name       || db.playlists[idx].name,
+    subtitle:   subtitle   !== undefined ? subtitle : db.playlists[idx].subtitle,
+    cover:      cover      || db.playlists[idx].cover,
+    visibility: visibility || db.playlists[idx].visibility || 'public',
+    ...(smart && { smart })
   };
 
+  recordRevision(db, db.playlists[idx], req.currentUser, 'update', prev);
+  writeDB(db);
+  publishPlaylist('playlist.updated', { playlistId: id }, before, db.playlists[idx]);
+  res.json(withPeople(db, db.playlists[idx], req.currentUser));
+});
+
+// PUT /api/playlists/:id/cover → carica un'immagine di copertina (body: il file, Content-Type image/png o image/jpeg).
+// DELETE → la toglie. Come per la modifica della playlist servono proprietario o co-proprietario;
+// l'emoji di "cover" resta e torna a essere mostrata quando non c'è un'immagine.
+playlistRouter.put('/:id/cover', requireAuth, validate({ params: ID_PARAMS }),
+  express.raw({ type: 'image/*', limit: MAX_IMAGE_SIZE }), async (req, res) => {
+  const upload = Buffer.isBuffer(req.body) && req.body.length ? req.body : null;
+  if (!upload) {
+    return res.status(400).json({ error: "Manca l'immagine (Content-Type image/png o image/jpeg)", code: 'required', field: 'image' });
+  }
+
+  // La playlist esiste ancora e si può gestire? Controllato prima e dopo la decodifica
+  const denied = pl => !pl ? [404, 'Playlist non trovata']
+    : !canManage(pl, req.currentUser) ? [403, 'Non autorizzato'] : null;
+
+  let refused = denied(viewDB().playlists.find(p => p.id === req.params.id));
+  if (refused) return res.status(refused[0]).json({ error: refused[1] });
+
+  // Solo dopo i controlli: decodificare e ridimensionare è la parte costosa
+  const saved = await saveImage(upload);
+  if (saved.error) return res.status(saved.status).json({ error: saved.error, code: saved.code, field: 'image' });
+
+  // Nel frattempo il server ha servito altre richieste: si rilegge il DB
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  refused = denied(pl);
+  if (refused) {
+    removeImage(saved.image);
+    return res.status(refused[0]).json({ error: refused[1] });
+  }
+
+  removeImage(pl.coverImage);
+  pl.coverImage = saved.image;
+  writeDB(db);
+  publishPlaylist('playlist.updated', { playlistId: pl.id }, pl);
+  res.json(withPeople(db, pl, req.currentUser));
+});
+
+playlistRouter.delete('/:id/cover', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  if (!pl) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canManage(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+
+  removeImage(pl.coverImage);
+  delete pl.coverImage;
   writeDB(db);
-  res.json(db.playlists[idx]);
+  publishPlaylist('playlist.updated', { playlistId: pl.id }, pl);
+  res.json(withPeople(db, pl, req.currentUser));
 });
 
 // DELETE /api/playlists/:id → elimina playlist (protetta)
-playlistRouter.delete('/:id', requireAuth, (req, res) => {
+playlistRouter.delete('/:id', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
   const { id } = req.params;
   const db     = readDB();
   const idx    = db.playlists.findIndex(p => p.id === id);
@@ -242,99 +1185,2001 @@ playlistRouter.delete('/:id', requireAuth, (req, res) => {
     return res.status(403).json({ error: 'Non autorizzato' });
   }
 
-  db.playlists.splice(idx, 1); // Rimuove 1 elemento all'indice idx
+  const [removed] = db.playlists.splice(idx, 1); // Rimuove 1 elemento all'indice idx
+  // Va nel cestino insieme ai suoi "mi piace"; file audio e copertina restano su disco finché non la si svuota
+  const likes = db.likes.filter(l => l.playlistId === id);
+  db.likes = db.likes.filter(l => l.playlistId !== id);
+  const entry = moveToTrash(db, req.currentUser, { type: 'playlist', playlist: removed, likes });
   writeDB(db);
-  res.json({ message: 'Playlist eliminata' });
+  publishPlaylist('playlist.deleted', { playlistId: id }, removed);
+  res.json({ message: 'Playlist spostata nel cestino', trashId: entry.id });
 });
 
-// ── 11. ROUTE: CANZONI (/api/playlists/:playlistId/songs) ────
+// POST / DELETE /api/playlists/:id/like → salva (o toglie) la playlist nella propria libreria
+['post', 'delete'].forEach(method => {
+  playlistRouter[method]('/:id/like', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+    const db = readDB();
+    const pl = db.playlists.find(p => p.id === req.params.id);
+    if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+    if (roleOf(pl, req.currentUser)) {
+      return res.status(400).json({ error: 'Questa playlist è già nella tua libreria' });
+    }
 
-// POST → aggiunge canzone a una playlist
-songRouter.post('/', requireAuth, (req, res) => {
-  const { playlistId }               = req.params;
-  const { title, artist, album, duration, genre } = req.body;
+    const had    = likesOf(db, pl.id, null).some(l => l.userId === req.currentUser.id);
+    const result = setLike(db, req.currentUser, pl.id, null, method === 'post');
+    let note = null;
+    if (result.liked && !had) note = notify(db, pl.userId, 'playlist.liked', req.currentUser, { playlistId: pl.id });
+    if (!result.liked && had) retract(db, pl.userId, 'playlist.liked', req.currentUser, { playlistId: pl.id });
+    writeDB(db);
+    announce(db, note);
+    res.json(result);
+  });
+});
 
-  if (!title || !artist) {
-    return res.status(400).json({ error: 'Titolo e artista sono obbligatori' });
-  }
+// ── 10b. ROUTE: COLLABORATORI (/api/playlists/:id/members) ───
 
-  const db  = readDB();
-  const idx = db.playlists.findIndex(p => p.id === playlistId);
-  if (idx === -1) return res.status(404).json({ error: 'Playlist non trovata' });
-  if (db.playlists[idx].userId !== req.currentUser.id) {
-    return res.status(403).json({ error: 'Non autorizzato' });
+// POST /api/playlists/:id/members → invita un utente (per username) come editor o co-proprietario
+playlistRouter.post('/:id/members', requireAuth, validate({
+  params: ID_PARAMS,
+  body:   { username: v.text({ min: 1, max: MAX_USERNAME_LENGTH, label: 'lo username' }), role: v.optional(MEMBER_ROLE, 'editor') }
+}), (req, res) => {
+  const { username, role } = req.body;
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+
+  if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canManage(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+
+  const user = db.users.find(u => u.username.toLowerCase() === username.toLowerCase());
+  if (!user) return res.status(404).json({ error: 'Utente non trovato', field: 'username' });
+  if (roleOf(pl, user)) {
+    // 409 Conflict: è già proprietario o collaboratore
+    return res.status(409).json({ error: `${user.username} collabora già a questa playlist`, field: 'username' });
   }
 
-  const newSong = {
+  const before = accessOf(pl);
+  pl.members = pl.members || [];
+  pl.members.push({ userId: user.id, role, addedAt: new Date().toISOString() });
+  const note = notify(db, user.id, 'member.added', req.currentUser, { playlistId: pl.id, role });
+  writeDB(db);
+  publishPlaylist('playlist.updated', { playlistId: pl.id, people: peopleOf(pl) }, before, pl);
+  announce(db, note);
+  res.status(201).json(withPeople(db, pl).members);
+});
+
+// PATCH /api/playlists/:id/members/:userId → cambia il ruolo di un collaboratore
+playlistRouter.patch('/:id/members/:userId', requireAuth, validate({ params: MEMBER_PARAMS, body: { role: MEMBER_ROLE } }), (req, res) => {
+  const { role } = req.body;
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+
+  if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canManage(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+
+  const member = (pl.members || []).find(m => m.userId === req.params.userId);
+  if (!member) return res.status(404).json({ error: 'Collaboratore non trovato' });
+
+  const note = member.role !== role
+    ? notify(db, member.userId, 'member.role', req.currentUser, { playlistId: pl.id, role }) : null;
+  member.role = role;
+  writeDB(db);
+  publishPlaylist('playlist.updated', { playlistId: pl.id, people: peopleOf(pl) }, pl);
+  announce(db, note);
+  res.json(withPeople(db, pl).members);
+});
+
+// DELETE /api/playlists/:id/members/:userId → rimuove un collaboratore (o lascia la playlist, se è sé stessi)
+playlistRouter.delete('/:id/members/:userId', requireAuth, validate({ params: MEMBER_PARAMS }), (req, res) => {
+  const { userId } = req.params;
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+
+  if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canManage(pl, req.currentUser) && userId !== req.currentUser.id) {
+    return res.status(403).json({ error: 'Non autorizzato' });
+  }
+
+  const before = accessOf(pl);
+  pl.members = before.members.filter(m => m.userId !== userId);
+  if (pl.members.length === before.members.length) return res.status(404).json({ error: 'Collaboratore non trovato' });
+
+  // Chi esce da solo lo sa già; notify() non avvisa mai chi ha fatto l'azione
+  const note = notify(db, userId, 'member.removed', req.currentUser, { playlistId: pl.id });
+  writeDB(db);
+  publishPlaylist('playlist.updated', { playlistId: pl.id, people: peopleOf(pl) }, before, pl);
+  announce(db, note);
+  res.json(withPeople(db, pl).members);
+});
+
+// ── 10c. ROUTE: IMPORTAZIONE ED ESPORTAZIONE ─────────────────
+// Il file della playlist (M3U/M3U8, XSPF, CSV, JSON) è il body della richiesta,
+// come testo; le opzioni viaggiano nella query string:
+//  ?format=m3u|xspf|csv|json → facoltativo: altrimenti si deduce da filename o dal contenuto
+//  ?filename=…               → nome del file originale
+//  ?preview=1                → non salva nulla: mostra cosa verrebbe importato e cosa no
+// express.text() accetta qualsiasi Content-Type (type: () => true)
+const readImportFile = express.text({ type: () => true, limit: MAX_IMPORT_SIZE });
+
+const IMPORT_QUERY = {
+  format:   v.oneOf(Object.keys(PLAYLIST_FORMATS), { optional: true, label: 'il formato' }),
+  filename: v.text({ max: 255, optional: true, label: 'il nome del file' }),
+  preview:  v.bool({ default: false })
+};
+
+/**
+ * Legge e valida il file inviato.
+ * Restituisce { format, name, subtitle, songs, errors } oppure null dopo aver risposto con l'errore.
+ */
+function parseImport(req, res) {
+  // Un .json inviato come application/json è già stato letto da express.json(): torna testo
+  const text = typeof req.body === 'string' ? req.body
+    : Object.keys(req.body || {}).length ? JSON.stringify(req.body) : '';
+  if (!text.trim()) {
+    res.status(400).json({ error: 'Il file è vuoto' });
+    return null;
+  }
+
+  const format = req.query.format || detectPlaylistFormat(text, req.query.filename || '');
+  if (!PLAYLIST_FORMATS[format]) {
+    // 415 Unsupported Media Type (il formato non è stato indicato e non si riconosce dal contenuto)
+    res.status(415).json({ error: 'Formato non supportato (m3u, xspf, csv, json)' });
+    return null;
+  }
+
+  try {
+    return { format, ...parsePlaylist(text, format, SONG_FIELDS) };
+  } catch (err) {
+    res.status(400).json({ error: `File ${format.toUpperCase()} non valido: ${err.message}` });
+    return null;
+  }
+}
+
+/** Trasforma le canzoni lette dal file in canzoni della playlist (id, chi e quando le ha aggiunte) */
+function importedSongs(songs, user) {
+  const addedAt = new Date().toISOString();
+  return songs.map(s => ({ id: generateId(), ...s, addedBy: user.id, addedAt }));
+}
+
+// POST /api/playlists/import → crea una nuova playlist dal file
+// Query: name (altrimenti quello nel file o il nome del file), visibility
+playlistRouter.post('/import', requireAuth, validate({
+  query: { ...IMPORT_QUERY, name: v.optional(PLAYLIST_FIELDS.name), visibility: v.optional(PLAYLIST_FIELDS.visibility, 'public') }
+}), readImportFile, (req, res) => {
+  const { visibility, preview } = req.query;
+
+  const parsed = parseImport(req, res);
+  if (!parsed) return;
+  // Nome e sottotitolo presi dal file passano dalle stesse regole di una playlist creata a mano
+  const fromFile = check({ name: PLAYLIST_FIELDS.name, subtitle: PLAYLIST_FIELDS.subtitle }, {
+    name: req.query.name || parsed.name
+      || (req.query.filename || '').replace(/\.[^.]+$/, '').trim() || 'Playlist importata',
+    subtitle: parsed.subtitle
+  });
+  if (fromFile.error) return res.status(400).json(fromFile.error);
+  const { name, subtitle } = fromFile.value;
+
+  if (preview) return res.json({ ...parsed, name, subtitle });
+  if (!parsed.songs.length) {
+    return res.status(400).json({ error: 'Nessuna canzone valida nel file', errors: parsed.errors });
+  }
+
+  const db = readDB();
+  const newPlaylist = {
+    id:         generateId(),
+    userId:     req.currentUser.id,
+    name,
+    subtitle,
+    cover:      '🎵',
+    visibility,
+    members:    [],
+    songs:      importedSongs(parsed.songs, req.currentUser),
+    createdAt:  new Date().toISOString()
+  };
+  db.playlists.push(newPlaylist);
+  recordRevision(db, newPlaylist, req.currentUser, 'import', {});
+  writeDB(db);
+  publishPlaylist('playlist.created', { playlistId: newPlaylist.id, userId: newPlaylist.userId }, newPlaylist);
+  res.status(201).json({ playlist: newPlaylist, imported: newPlaylist.songs.length, errors: parsed.errors });
+});
+
+// POST /api/playlists/:id/import → aggiunge in fondo a una playlist esistente le canzoni del file
+playlistRouter.post('/:id/import', requireAuth, validate({ params: ID_PARAMS, query: IMPORT_QUERY }), readImportFile, (req, res) => {
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canEditSongs(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+  if (rejectSmart(pl, res)) return;
+
+  const parsed = parseImport(req, res);
+  if (!parsed) return;
+
+  if (req.query.preview) return res.json(parsed);
+  if (!parsed.songs.length) {
+    return res.status(400).json({ error: 'Nessuna canzone valida nel file', errors: parsed.errors });
+  }
+
+  const prev  = snapshot(pl);
+  const added = importedSongs(parsed.songs, req.currentUser);
+  pl.songs.push(...added);
+  recordRevision(db, pl, req.currentUser, 'import', prev);
+  writeDB(db);
+  publishPlaylist('playlist.updated', { playlistId: pl.id }, pl);
+  res.status(201).json({ playlist: pl, imported: added.length, errors: parsed.errors });
+});
+
+// GET /api/playlists/:id/export?format=m3u|xspf|csv|json → scarica la playlist come file
+// Chi può vedere la playlist può esportarla. Come per i media, il token (breve, uso "export")
+// può arrivare nella query string: così il download parte da un semplice link.
+playlistRouter.get('/:id/export', urlAuth('export'), validate({
+  params: ID_PARAMS,
+  query:  { format: v.oneOf(Object.keys(PLAYLIST_FORMATS), { default: 'json', label: 'il formato' }) }
+}), (req, res) => {
+  const { format } = req.query;
+
+  const db    = viewDB();
+  const found = db.playlists.find(p => p.id === req.params.id);
+  if (!found || !canView(found, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  const pl = resolveSmart(db, found, req.currentUser); // Una playlist smart si esporta con i brani di adesso
+
+  // I brani con un file audio puntano al loro indirizzo sul server
+  const mediaUrl = song => (song.audio ? `${baseUrl(req)}/api/media/${song.id}` : null);
+  const { ext, mimeType } = PLAYLIST_FORMATS[format];
+
+  // res.attachment() imposta "Content-Disposition: attachment; filename=…" (download)
+  res.attachment(`${pl.name.replace(/[\\/:*?"<>|]/g, '_')}.${ext}`);
+  res.type(`${mimeType}; charset=utf-8`);
+  res.send(serializePlaylist(pl, format, mediaUrl));
+});
+
+// ── 10d. ROUTE: LINK DI CONDIVISIONE (/api/playlists/:id/shares) ──
+// Un link di condivisione apre la playlist in sola lettura a chiunque lo abbia, anche senza
+// account e anche se la playlist è privata: /s/<token> (pagina) e /embed/<token> (widget da iframe).
+// Li creano e revocano proprietario e co-proprietari; un link può avere una scadenza.
+// Link: { id, playlistId, token, createdBy, createdAt, expiresAt (null = non scade) }
+
+/** Il link è ancora valido adesso? */
+function isShareActive(link, now = Date.now()) {
+  return !link.expiresAt || new Date(link.expiresAt).getTime() > now;
+}
+
+/** Toglie i link scaduti e quelli di playlist che non esistono più (né nel DB né nel cestino) */
+function pruneShareLinks(db) {
+  const alive = new Set([
+    ...db.playlists.map(pl => pl.id),
+    ...db.trash.filter(e => e.type === 'playlist').map(e => e.playlist.id)
+  ]);
+  db.shareLinks = db.shareLinks.filter(l => isShareActive(l) && alive.has(l.playlistId));
+}
+
+/** Link per chi gestisce la playlist, con gli indirizzi pronti da copiare */
+function shareView(req, link) {
+  const { id, token, createdAt, expiresAt } = link;
+  return {
+    id, token, createdAt, expiresAt,
+    url:      `${baseUrl(req)}/s/${token}`,
+    embedUrl: `${baseUrl(req)}/embed/${token}`
+  };
+}
+
+/** I link ancora validi della playlist, dal più recente */
+function sharesOf(db, req, pl) {
+  return db.shareLinks
+    .filter(l => l.playlistId === pl.id && isShareActive(l))
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map(l => shareView(req, l));
+}
+
+// GET /api/playlists/:id/shares → i link attivi della playlist
+playlistRouter.get('/:id/shares', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+  const db = viewDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canManage(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+  res.json(sharesOf(db, req, pl));
+});
+
+// POST /api/playlists/:id/shares → crea un nuovo link; { expiresInDays } per farlo scadere
+playlistRouter.post('/:id/shares', requireAuth, validate({
+  params: ID_PARAMS,
+  body:   { expiresInDays: v.int({ min: 1, max: MAX_SHARE_DAYS, optional: true, label: 'la scadenza' }) }
+}), (req, res) => {
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canManage(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+
+  pruneShareLinks(db); // Pulizia: come per le sessioni, quando se ne crea uno nuovo
+  if (db.shareLinks.filter(l => l.playlistId === pl.id).length >= MAX_SHARE_LINKS) {
+    return res.status(409).json({ error: `Troppi link attivi per questa playlist (max ${MAX_SHARE_LINKS}): revocane qualcuno` });
+  }
+
+  const now  = Date.now();
+  const { expiresInDays } = req.body;
+  const link = {
+    id:         generateId(),
+    playlistId: pl.id,
+    token:      crypto.randomBytes(16).toString('base64url'), // Non indovinabile: è l'unica "password" del link
+    createdBy:  req.currentUser.id,
+    createdAt:  new Date(now).toISOString(),
+    expiresAt:  expiresInDays ? new Date(now + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null
+  };
+  db.shareLinks.push(link);
+  writeDB(db);
+  res.status(201).json(shareView(req, link));
+});
+
+// DELETE /api/playlists/:id/shares/:shareId → revoca il link: chi lo apre da ora trova "Link non valido"
+playlistRouter.delete('/:id/shares/:shareId', requireAuth, validate({ params: SHARE_PARAMS }), (req, res) => {
+  const db = readDB();
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  if (!pl || !canView(pl, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canManage(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+
+  const link = db.shareLinks.find(l => l.id === req.params.shareId && l.playlistId === pl.id);
+  if (!link) return res.status(404).json({ error: 'Link non trovato' });
+
+  db.shareLinks = db.shareLinks.filter(l => l !== link);
+  writeDB(db);
+  res.json(sharesOf(db, req, pl));
+});
+
+// ── 10e. ROUTE: COPIE (FORK) E AGGIORNAMENTI DALL'ORIGINALE ──
+// Chi vede una playlist può copiarla nel suo account: canzoni (con i file audio), cover e sottotitolo.
+// La copia ricorda da dove viene in forkedFrom: { playlistId, userId, name, forkedAt, base }, dove
+// base sono gli id delle canzoni dell'originale all'ultima sincronizzazione. Confrontando base con
+// l'originale di adesso si vede cosa l'originale ha aggiunto o tolto dopo la copia, senza confondere
+// queste modifiche con quelle fatte alla copia. Ogni canzone copiata ricorda la sua in "origin".
+
+/** Copia di una canzone dell'originale, per la playlist di user (il file audio si annota in copies) */
+function forkSong(song, user, copies) {
+  const { playlistId, playlistName, ...rest } = song; // Le canzoni delle playlist smart dicono da dove vengono
+  const id = generateId();
+  return { ...rest, id, audio: copyMedia(song, id, copies), origin: song.id, addedBy: user.id, addedAt: new Date().toISOString() };
+}
+
+/**
+ * Differenze tra l'originale (così come lo vede user) e la copia:
+ * added = canzoni comparse nell'originale, removed = canzoni della copia che l'originale ha tolto.
+ * null se la playlist non è una copia o l'originale non c'è più (o non è più visibile).
+ */
+function upstreamChanges(db, fork, user) {
+  const found = fork.forkedFrom && db.playlists.find(p => p.id === fork.forkedFrom.playlistId);
+  if (!found || !canView(found, user, true)) return null;
+  const original = resolveSmart(db, found, user);
+
+  const base    = new Set(fork.forkedFrom.base);
+  const now     = new Set(original.songs.map(s => s.id));
+  const origins = new Set(fork.songs.map(s => s.origin));
+  return {
+    original,
+    added:   original.songs.filter(s => !base.has(s.id) && !origins.has(s.id)),
+    removed: fork.songs.filter(s => base.has(s.origin) && !now.has(s.origin))
+  };
+}
+
+// POST /api/playlists/:id/fork → copia la playlist tra le mie. Body: { name?, visibility? }
+// Di default la copia ha lo stesso nome ("(copia)" se l'originale è già mio) e la stessa visibilità.
+playlistRouter.post('/:id/fork', requireAuth, validate({
+  params: ID_PARAMS,
+  body:   { name: v.optional(PLAYLIST_FIELDS.name), visibility: v.optional(PLAYLIST_FIELDS.visibility) }
+}), async (req, res) => {
+  const db    = readDB();
+  const found = db.playlists.find(p => p.id === req.params.id);
+  if (!found || !canView(found, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+
+  // Una playlist smart si copia con i brani di adesso: la copia è una playlist normale
+  const original = resolveSmart(db, found, req.currentUser);
+  const own      = original.userId === req.currentUser.id;
+  const now      = new Date().toISOString();
+  const copies   = [];
+  const fork = {
+    id:         generateId(),
+    userId:     req.currentUser.id,
+    name:       req.body.name || (own ? `${original.name} (copia)`.slice(0, MAX_NAME_LENGTH) : original.name),
+    subtitle:   original.subtitle || '',
+    cover:      original.cover || '🎵',
+    coverImage: copyImage(original.coverImage, copies),
+    visibility: req.body.visibility || original.visibility || 'public',
+    members:    [],
+    songs:      original.songs.map(s => forkSong(s, req.currentUser, copies)),
+    forkedFrom: {
+      playlistId: original.id,
+      userId:     original.userId,
+      name:       original.name,
+      forkedAt:   now,
+      base:       original.songs.map(s => s.id)
+    },
+    createdAt:  now
+  };
+  if (!fork.coverImage) delete fork.coverImage;
+  db.playlists.push(fork);
+  recordRevision(db, fork, req.currentUser, 'fork', {});
+  writeDB(db);
+  await copyFiles(copies);
+  publishPlaylist('playlist.created', { playlistId: fork.id, userId: fork.userId }, fork);
+  publishPlaylist('playlist.updated', { playlistId: found.id }, found); // Cambia il numero di copie
+  res.status(201).json(withPeople(db, fork, req.currentUser));
+});
+
+// GET /api/playlists/:id/upstream → cosa ha aggiunto e tolto l'originale dopo la copia
+playlistRouter.get('/:id/upstream', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+  const db   = viewDB();
+  const fork = db.playlists.find(p => p.id === req.params.id);
+  if (!fork || !canView(fork, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!fork.forkedFrom) return res.status(400).json({ error: 'Questa playlist non è una copia' });
+
+  const changes = upstreamChanges(db, fork, req.currentUser);
+  if (!changes) return res.status(404).json({ error: 'La playlist originale non esiste più o non è più visibile' });
+  res.json({
+    original: summarizePlaylist(db, changes.original, req.currentUser),
+    forkedAt: fork.forkedFrom.forkedAt,
+    added:    changes.added,
+    removed:  changes.removed
+  });
+});
+
+// POST /api/playlists/:id/upstream → applica alla copia le modifiche scelte
+// Body: { add: [id delle canzoni nell'originale], remove: [id delle canzoni nella copia] }
+// Le canzoni aggiunte vanno in fondo; quelle tolte finiscono nel cestino, come una rimozione a mano.
+playlistRouter.post('/:id/upstream', requireAuth, validate({
+  params: ID_PARAMS,
+  body:   { add: v.optional(v.list(v.id()), []), remove: v.optional(v.list(v.id()), []) }
+}), async (req, res) => {
+  const { add, remove } = req.body;
+  const db   = readDB();
+  const fork = db.playlists.find(p => p.id === req.params.id);
+  if (!fork || !canView(fork, req.currentUser, true)) return res.status(404).json({ error: 'Playlist non trovata' });
+  if (!canEditSongs(fork, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+  if (!fork.forkedFrom) return res.status(400).json({ error: 'Questa playlist non è una copia' });
+
+  const changes = upstreamChanges(db, fork, req.currentUser);
+  if (!changes) return res.status(404).json({ error: 'La playlist originale non esiste più o non è più visibile' });
+  const toAdd    = [...new Set(add)].map(id => changes.added.find(s => s.id === id));
+  const toRemove = [...new Set(remove)].map(id => changes.removed.find(s => s.id === id));
+  if (toAdd.includes(undefined)) {
+    return res.status(400).json({ error: "Tra le canzoni da aggiungere ce n'è una che l'originale non ha aggiunto", field: 'add' });
+  }
+  if (toRemove.includes(undefined)) {
+    return res.status(400).json({ error: "Tra le canzoni da togliere ce n'è una che l'originale non ha tolto", field: 'remove' });
+  }
+
+  // base segue le modifiche applicate: non verranno più proposte
+  const prev   = snapshot(fork);
+  const base   = new Set(fork.forkedFrom.base);
+  const copies = [];
+  toAdd.forEach(song => {
+    fork.songs.push(forkSong(song, req.currentUser, copies));
+    base.add(song.id);
+  });
+  toRemove.forEach(song => {
+    const position = fork.songs.indexOf(song);
+    const likes    = db.likes.filter(l => l.songId === song.id);
+    fork.songs = fork.songs.filter(s => s !== song);
+    db.likes   = db.likes.filter(l => l.songId !== song.id);
+    moveToTrash(db, req.currentUser, { type: 'song', song, playlistId: fork.id, playlistName: fork.name, position, likes });
+    base.delete(song.origin);
+  });
+  fork.forkedFrom.base = [...base];
+
+  recordRevision(db, fork, req.currentUser, 'upstream', prev);
+  writeDB(db);
+  await copyFiles(copies);
+  publishPlaylist('playlist.updated', { playlistId: fork.id }, fork);
+  res.json(withPeople(db, fork, req.currentUser));
+});
+
+// ── 10f. ROUTE: CRONOLOGIA DELLE MODIFICHE (/api/playlists/:id/revisions) ──
+// Ogni modifica a nome, sottotitolo, cover, visibilità, regole o canzoni salva una revisione
+// (vedi revisions.js): { id, playlistId, number, userId, op, createdAt, before, after }.
+// op dice da dove viene la modifica: create, update, import, fork, upstream, rollback,
+// song.add, song.remove, song.update, song.reorder, song.move, song.copy, song.restore.
+// La cronologia la vedono proprietario e collaboratori; il ripristino solo chi gestisce la playlist.
+
+const REVISION_SORTS = {
+  createdAt: { compare: (a, b) => a.number - b.number, order: 'desc' }
+};
+
+/**
+ * Salva una revisione se la playlist è cambiata rispetto a prev (lo snapshot preso prima
+ * della modifica; {} per una playlist appena creata). Restituisce la revisione o null.
+ */
+function recordRevision(db, pl, user, op, prev) {
+  const diff = changes(prev, snapshot(pl));
+  if (!diff) return null;
+  const mine     = db.revisions.filter(r => r.playlistId === pl.id);
+  const revision = {
+    id:         generateId(),
+    playlistId: pl.id,
+    number:     mine.length ? mine[mine.length - 1].number + 1 : 1,
+    userId:     user.id,
+    op,
+    createdAt:  new Date().toISOString(),
+    ...diff
+  };
+  db.revisions.push(revision);
+  // Le più vecchie oltre MAX_REVISIONS escono (non ci si potrà più tornare)
+  if (mine.length + 1 > MAX_REVISIONS) {
+    const dropped = new Set(mine.slice(0, mine.length + 1 - MAX_REVISIONS));
+    db.revisions = db.revisions.filter(r => !dropped.has(r));
+  }
+  return revision;
+}
+
+/** Revisione per gli elenchi: chi, quando, cosa (senza gli stati completi) */
+function revisionView(db, revision) {
+  const user = db.users.find(u => u.id === revision.userId);
+  return {
+    id:           revision.id,
+    number:       revision.number,
+    op:           revision.op,
+    createdAt:    revision.createdAt,
+    rolledBackTo: revision.rolledBackTo,
+    user:         user ? { id: user.id, username: user.username, avatar: user.avatar, avatarImage: user.avatarImage } : null,
+    ...summarizeRevision(revision)
+  };
+}
+
+/** Playlist di cui l'utente può leggere la cronologia; risponde lui con 404/403 se non può (e restituisce null) */
+function historyPlaylist(db, req, res) {
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  if (!pl || !canView(pl, req.currentUser, true)) {
+    res.status(404).json({ error: 'Playlist non trovata' });
+    return null;
+  }
+  if (!roleOf(pl, req.currentUser)) {
+    res.status(403).json({ error: 'La cronologia la vedono solo proprietario e collaboratori' });
+    return null;
+  }
+  return pl;
+}
+
+// GET /api/playlists/:id/revisions → le revisioni, dalla più recente (a pagine)
+playlistRouter.get('/:id/revisions', requireAuth, validate({ params: ID_PARAMS, query: listQuery(REVISION_SORTS) }), (req, res) => {
+  const db = viewDB();
+  const pl = historyPlaylist(db, req, res);
+  if (!pl) return;
+  const page = paginate(db.revisions.filter(r => r.playlistId === pl.id), REVISION_SORTS,
+    listParams(req.query, REVISION_SORTS, 'createdAt'));
+  page.items = page.items.map(r => revisionView(db, r));
+  res.json(page);
+});
+
+// GET /api/playlists/:id/revisions/diff?from=<revisione>&to=<revisione> → cosa cambia tra i due stati
+// Senza "to" si confronta con la playlist di adesso.
+playlistRouter.get('/:id/revisions/diff', requireAuth, validate({
+  params: ID_PARAMS,
+  query:  { from: v.id({ label: 'la revisione di partenza' }), to: v.id({ optional: true, label: 'la revisione di arrivo' }) }
+}), (req, res) => {
+  const db = readDB(); // Non la vista: gli stati si ricostruiscono su copie dei dati (structuredClone)
+  const pl = historyPlaylist(db, req, res);
+  if (!pl) return;
+  const revisions = db.revisions.filter(r => r.playlistId === pl.id);
+  const current   = snapshot(pl);
+  const from      = stateAt(current, revisions, req.query.from);
+  const to        = req.query.to ? stateAt(current, revisions, req.query.to) : current;
+  if (!from) return res.status(404).json({ error: 'Revisione non trovata', field: 'from' });
+  if (!to)   return res.status(404).json({ error: 'Revisione non trovata', field: 'to' });
+  res.json({ from: req.query.from, to: req.query.to || null, ...diffStates(from, to) });
+});
+
+// GET /api/playlists/:id/revisions/:revId → una revisione con i campi com'erano prima e dopo
+// e, se sono cambiate le canzoni, solo quelle toccate (songs: vedi revisions.js)
+playlistRouter.get('/:id/revisions/:revId', requireAuth, validate({ params: { id: v.id(), revId: v.id() } }), (req, res) => {
+  const db = viewDB();
+  const pl = historyPlaylist(db, req, res);
+  if (!pl) return;
+  const revision = db.revisions.find(r => r.id === req.params.revId && r.playlistId === pl.id);
+  if (!revision) return res.status(404).json({ error: 'Revisione non trovata' });
+  res.json({ ...revisionView(db, revision), before: revision.before, after: revision.after, songs: revision.songs || null });
+});
+
+// POST /api/playlists/:id/revisions/:revId/rollback → riporta la playlist com'era dopo quella revisione
+// Il ripristino è a sua volta una revisione (op 'rollback'): si può annullare tornando a quella prima.
+// Le canzoni che escono vanno nel cestino; quelle che tornano, se erano nel cestino, ne escono.
+playlistRouter.post('/:id/revisions/:revId/rollback', requireAuth, validate({ params: { id: v.id(), revId: v.id() } }), async (req, res) => {
+  const db = readDB();
+  const pl = historyPlaylist(db, req, res);
+  if (!pl) return;
+  if (!canManage(pl, req.currentUser)) return res.status(403).json({ error: 'Non autorizzato' });
+
+  const prev   = snapshot(pl);
+  const target = stateAt(prev, db.revisions.filter(r => r.playlistId === pl.id), req.params.revId);
+  if (!target) return res.status(404).json({ error: 'Revisione non trovata' });
+  if (!changes(prev, target)) return res.status(400).json({ error: "La playlist è già com'era dopo questa revisione" });
+
+  const before = accessOf(pl);
+  const keep   = new Set((target.songs || []).map(s => s.id));
+  const now    = new Set(pl.songs.map(s => s.id));
+
+  // Canzoni che escono: nel cestino, come una rimozione a mano
+  pl.songs.forEach((song, position) => {
+    if (keep.has(song.id)) return;
+    const likes = db.likes.filter(l => l.songId === song.id);
+    db.likes = db.likes.filter(l => l.songId !== song.id);
+    moveToTrash(db, req.currentUser, { type: 'song', song, playlistId: pl.id, playlistName: pl.name, position, likes });
+  });
+
+  // Canzoni che tornano: fuori dal cestino (con i loro "mi piace"); se nel frattempo sono state
+  // spostate in un'altra playlist ne torna una copia; senza più il file audio tornano senza
+  const elsewhere = new Set(db.playlists.filter(p => p.id !== pl.id).flatMap(p => p.songs.map(s => s.id)));
+  const copies    = [];
+  const songs = (target.songs || []).map(song => {
+    if (now.has(song.id)) return song;
+    const trashed = db.trash.find(e => e.type === 'song' && e.song.id === song.id);
+    if (trashed) {
+      db.trash = db.trash.filter(e => e !== trashed);
+      db.likes.push(...trashed.likes.filter(l => db.users.some(u => u.id === l.userId)));
+    }
+    const hasFile = !!song.audio && fs.existsSync(path.join(MEDIA_PATH, song.audio.file));
+    if (elsewhere.has(song.id)) {
+      const id = generateId();
+      return { ...song, id, audio: copyMedia(song, id, copies) };
+    }
+    return hasFile || !song.audio ? song : { ...song, audio: undefined };
+  });
+
+  ['name', 'subtitle', 'cover', 'visibility', 'smart'].forEach(field => {
+    if (target[field] !== undefined) pl[field] = target[field];
+  });
+  if (!pl.smart) pl.songs = songs;
+
+  const revision = recordRevision(db, pl, req.currentUser, 'rollback', prev);
+  if (revision) revision.rolledBackTo = req.params.revId;
+  writeDB(db);
+  await copyFiles(copies);
+  publishPlaylist('playlist.updated', { playlistId: pl.id }, before, pl);
+  res.json(withPeople(db, pl, req.currentUser));
+});
+
+// ── 10g. ROUTE: COMMENTI (/api/playlists/:id/comments) ───────
+// Chi vede una playlist può commentarla. Le discussioni hanno un livello di risposte: chi risponde
+// a una risposta finisce nella stessa discussione (parentId è sempre un commento principale).
+// Commento: { id, playlistId, userId, parentId (null = principale), text, createdAt, editedAt }
+// L'autore modifica ed elimina i suoi; proprietario e co-proprietari eliminano quelli sulla playlist.
+// Un commento con risposte eliminato resta come segnaposto (deleted: true) per non spezzare la discussione.
+
+const COMMENT_SORTS = {
+  createdAt: { compare: (a, b) => a.createdAt.localeCompare(b.createdAt), order: 'desc' }
+};
+
+/** Commenti visibili della playlist (i segnaposto degli eliminati non contano) */
+function commentCount(db, pl) {
+  return db.comments.filter(c => c.playlistId === pl.id && !c.deleted).length;
+}
+
+/** Commento per il client, con chi l'ha scritto e cosa può farci viewer */
+function commentView(db, comment, pl, viewer) {
+  const author = db.users.find(u => u.id === comment.userId);
+  const mine   = !!viewer && comment.userId === viewer.id;
+  return {
+    id:        comment.id,
+    parentId:  comment.parentId,
+    text:      comment.deleted ? null : comment.text,
+    deleted:   !!comment.deleted,
+    createdAt: comment.createdAt,
+    editedAt:  comment.editedAt,
+    user:      !comment.deleted && author
+      ? { id: author.id, username: author.username, avatar: author.avatar, avatarImage: author.avatarImage } : null,
+    canEdit:   mine && !comment.deleted,
+    canDelete: !comment.deleted && (mine || canManage(pl, viewer))
+  };
+}
+
+/**
+ * Elimina un commento: del tutto se nessuno gli ha risposto, altrimenti ne resta il segnaposto.
+ * Il segnaposto sparisce con l'ultima risposta.
+ */
+function removeComment(db, comment) {
+  const hasReplies = db.comments.some(c => c.parentId === comment.id);
+  if (hasReplies) {
+    comment.deleted = true;
+    comment.text    = '';
+    return;
+  }
+  db.comments = db.comments.filter(c => c !== comment);
+  const parent = comment.parentId && db.comments.find(c => c.id === comment.parentId);
+  if (parent?.deleted && !db.comments.some(c => c.parentId === parent.id)) {
+    db.comments = db.comments.filter(c => c !== parent);
+  }
+}
+
+/** Playlist che l'utente può vedere; altrimenti risponde 404 e restituisce null */
+function commentedPlaylist(db, req, res) {
+  const pl = db.playlists.find(p => p.id === req.params.id);
+  if (!pl || !canView(pl, req.currentUser, true)) {
+    res.status(404).json({ error: 'Playlist non trovata' });
+    return null;
+  }
+  return pl;
+}
+
+// GET /api/playlists/:id/comments → le discussioni, dalla più recente (a pagine), ognuna con le sue risposte
+playlistRouter.get('/:id/comments', optionalAuth, validate({ params: ID_PARAMS, query: listQuery(COMMENT_SORTS) }), (req, res) => {
+  const db = viewDB();
+  const pl = commentedPlaylist(db, req, res);
+  if (!pl) return;
+  const all  = db.comments.filter(c => c.playlistId === pl.id);
+  const page = paginate(all.filter(c => !c.parentId), COMMENT_SORTS, listParams(req.query, COMMENT_SORTS, 'createdAt'));
+  page.items = page.items.map(c => ({
+    ...commentView(db, c, pl, req.currentUser),
+    replies: all.filter(r => r.parentId === c.id)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+      .map(r => commentView(db, r, pl, req.currentUser))
+  }));
+  res.json(page);
+});
+
+// POST /api/playlists/:id/comments → nuovo commento; { text, parentId? } per rispondere
+playlistRouter.post('/:id/comments', requireAuth, validate({
+  params: ID_PARAMS,
+  body:   { text: COMMENT_TEXT, parentId: v.id({ optional: true, label: 'il commento a cui rispondi' }) }
+}), commentLimit, (req, res) => {
+  const db = readDB();
+  const pl = commentedPlaylist(db, req, res);
+  if (!pl) return;
+
+  let parent = null;
+  if (req.body.parentId) {
+    parent = db.comments.find(c => c.id === req.body.parentId && c.playlistId === pl.id);
+    if (!parent) return res.status(404).json({ error: 'Il commento a cui rispondi non esiste più', field: 'parentId' });
+  }
+
+  const comment = {
+    id:         generateId(),
+    playlistId: pl.id,
+    userId:     req.currentUser.id,
+    parentId:   parent ? parent.parentId || parent.id : null, // Una risposta a una risposta resta nella stessa discussione
+    text:       req.body.text,
+    createdAt:  new Date().toISOString(),
+    editedAt:   null
+  };
+  db.comments.push(comment);
+  // Avvisa chi ha scritto il commento a cui rispondo e il proprietario della playlist (una volta sola)
+  const about   = { playlistId: pl.id, commentId: comment.id };
+  const replyTo = parent && !parent.deleted ? parent.userId : null;
+  const notes   = [
+    replyTo && notify(db, replyTo, 'comment.replied', req.currentUser, about),
+    pl.userId !== replyTo && notify(db, pl.userId, 'comment.created', req.currentUser, about)
+  ];
+  writeDB(db);
+  publishPlaylist('comment.changed', { playlistId: pl.id, commentId: comment.id }, pl);
+  notes.forEach(note => announce(db, note));
+  res.status(201).json(commentView(db, comment, pl, req.currentUser));
+});
+
+// PATCH /api/playlists/:id/comments/:commentId → l'autore corregge il testo
+playlistRouter.patch('/:id/comments/:commentId', requireAuth, validate({
+  params: COMMENT_PARAMS,
+  body:   { text: COMMENT_TEXT }
+}), commentLimit, (req, res) => {
+  const db = readDB();
+  const pl = commentedPlaylist(db, req, res);
+  if (!pl) return;
+  const comment = db.comments.find(c => c.id === req.params.commentId && c.playlistId === pl.id && !c.deleted);
+  if (!comment) return res.status(404).json({ error: 'Commento non trovato' });
+  if (comment.userId !== req.currentUser.id) return res.status(403).json({ error: 'Puoi modificare solo i tuoi commenti' });
+
+  comment.text     = req.body.text;
+  comment.editedAt = new Date().toISOString();
+  writeDB(db);
+  publishPlaylist('comment.changed', { playlistId: pl.id, commentId: comment.id }, pl);
+  res.json(commentView(db, comment, pl, req.currentUser));
+});
+
+// DELETE /api/playlists/:id/comments/:commentId → lo elimina l'autore, il proprietario o un co-proprietario
+playlistRouter.delete('/:id/comments/:commentId', requireAuth, validate({ params: COMMENT_PARAMS }), (req, res) => {
+  const db = readDB();
+  const pl = commentedPlaylist(db, req, res);
+  if (!pl) return;
+  const comment = db.comments.find(c => c.id === req.params.commentId && c.playlistId === pl.id && !c.deleted);
+  if (!comment) return res.status(404).json({ error: 'Commento non trovato' });
+  if (comment.userId !== req.currentUser.id && !canManage(pl, req.currentUser)) {
+    return res.status(403).json({ error: 'Non autorizzato' });
+  }
+
+  removeComment(db, comment);
+  writeDB(db);
+  publishPlaylist('comment.changed', { playlistId: pl.id, commentId: comment.id }, pl);
+  res.json({ message: 'Commento eliminato', commentCount: commentCount(db, pl) });
+});
+
+// ── 11. ROUTE: CANZONI (/api/playlists/:playlistId/songs) ────
+
+/**
+ * La playlist di :playlistId per le route qui sotto, cercata in db (copia o vista).
+ * Risponde lei e restituisce null se non esiste o non si vede (404), se l'utente non può
+ * modificarne le canzoni (403, solo con edit) o se è smart: le playlist smart non hanno
+ * canzoni proprie (i "mi piace" ai loro brani vanno fatti sulla playlist da cui ogni brano viene).
+ */
+function songsPlaylist(db, req, res, edit = true) {
+  const pl = db.playlists.find(p => p.id === req.params.playlistId);
+  if (!pl || !canView(pl, req.currentUser, true)) {
+    res.status(404).json({ error: 'Playlist non trovata' });
+    return null;
+  }
+  // Proprietario, co-proprietari ed editor possono aggiungere, togliere e modificare canzoni
+  if (edit && !canEditSongs(pl, req.currentUser)) {
+    res.status(403).json({ error: 'Non autorizzato' });
+    return null;
+  }
+  return rejectSmart(pl, res) ? null : pl;
+}
+
+// POST → aggiunge canzone a una playlist
+// Due modalità:
+//  - JSON con i soli metadati (come prima)
+//  - il file audio come body (Content-Type: audio/*) e i metadati nella query string,
+//    es. POST /api/playlists/p1/songs?title=...&artist=...
+// express.raw() legge il body binario in un Buffer solo per i Content-Type audio/*, e solo
+// dopo aver controllato playlist e permessi: chi non può aggiungere canzoni non fa caricare nulla
+// I metadati si validano dove arrivano: nel body JSON oppure, con il file, nella query string
+const NEW_SONG = { ...v.partial(SONG_FIELDS), title: SONG_FIELDS.title, artist: SONG_FIELDS.artist };
+
+songRouter.post('/', requireAuth, (req, res, next) => {
+  if (songsPlaylist(viewDB(), req, res)) next();
+}, express.raw({ type: 'audio/*', limit: MAX_AUDIO_SIZE }),
+  validate(req => (Buffer.isBuffer(req.body) ? { params: SONGS_PARAMS, query: NEW_SONG } : { params: SONGS_PARAMS, body: NEW_SONG })),
+  (req, res) => {
+  const { playlistId } = req.params;
+  const upload = Buffer.isBuffer(req.body) && req.body.length ? req.body : null;
+  const { title, artist, album, duration, genre } = Buffer.isBuffer(req.body) ? req.query : req.body;
+
+  // Il formato si riconosce dal contenuto del file, non dal Content-Type dichiarato
+  const format = upload ? detectFormat(upload) : null;
+  if (upload && !format) {
+    // 415 Unsupported Media Type
+    return res.status(415).json({ error: 'Formato audio non supportato (mp3, wav, flac, ogg, m4a)' });
+  }
+
+  // Di nuovo dopo l'upload: mentre arrivava il file il server ha servito altre richieste
+  const db = readDB();
+  const pl = songsPlaylist(db, req, res);
+  if (!pl) return;
+
+  const newSong = {
     id:       generateId(),
-    title:    title.trim(),
-    artist:   artist.trim(),
-    album:    album?.trim()    || '',
-    duration: duration?.trim() || '0:00',
-    genre:    genre?.trim()    || 'Altro'
+    title,
+    artist,
+    album:    album    || '',
+    duration: duration || '0:00',
+    genre:    genre    || 'Altro',
+    addedBy:  req.currentUser.id,          // Chi l'ha aggiunta (utile nelle playlist condivise)
+    addedAt:  new Date().toISOString()
   };
 
-  db.playlists[idx].songs.push(newSong);
+  if (upload) {
+    const file = `${newSong.id}.${format.ext}`;
+    fs.writeFileSync(path.join(MEDIA_PATH, file), upload);
+    // La durata reale letta dal file ha la precedenza su quella digitata
+    const seconds = readDuration(upload, format);
+    if (seconds) newSong.duration = formatDuration(seconds);
+    newSong.audio = { file, mimeType: format.mimeType, size: upload.length };
+  }
+
+  const prev = snapshot(pl);
+  pl.songs.push(newSong);
+  recordRevision(db, pl, req.currentUser, 'song.add', prev);
   writeDB(db);
+  publishPlaylist('song.added', { playlistId, song: newSong }, pl);
   res.status(201).json(newSong);
 });
 
 // DELETE → rimuove canzone da una playlist
-songRouter.delete('/:songId', requireAuth, (req, res) => {
+songRouter.delete('/:songId', requireAuth, validate({ params: SONG_PARAMS }), (req, res) => {
   const { playlistId, songId } = req.params;
-  const db  = readDB();
-  const idx = db.playlists.findIndex(p => p.id === playlistId);
+  const db = readDB();
+  const pl = songsPlaylist(db, req, res);
+  if (!pl) return;
 
-  if (idx === -1) return res.status(404).json({ error: 'Playlist non trovata' });
-  if (db.playlists[idx].userId !== req.currentUser.id) {
-    return res.status(403).json({ error: 'Non autorizzato' });
+  const song = pl.songs.find(s => s.id === songId);
+  if (!song) {
+    return res.status(404).json({ error: 'Canzone non trovata' });
   }
 
-  const before = db.playlists[idx].songs.length;
+  // Nel cestino di chi la rimuove, con la posizione e i "mi piace" per poterla rimettere dov'era
+  const position = pl.songs.indexOf(song);
+  const likes    = db.likes.filter(l => l.songId === songId);
+  const prev     = snapshot(pl);
   // filter: crea un nuovo array escludendo la canzone da eliminare
-  db.playlists[idx].songs = db.playlists[idx].songs.filter(s => s.id !== songId);
+  pl.songs = pl.songs.filter(s => s.id !== songId);
+  db.likes = db.likes.filter(l => l.songId !== songId);
+  const entry = moveToTrash(db, req.currentUser, {
+    type: 'song', song, playlistId, playlistName: pl.name, position, likes
+  });
+  recordRevision(db, pl, req.currentUser, 'song.remove', prev);
 
-  if (db.playlists[idx].songs.length === before) {
-    return res.status(404).json({ error: 'Canzone non trovata' });
+  writeDB(db);
+  publishPlaylist('song.removed', { playlistId, songId }, pl);
+  res.json({ message: 'Canzone spostata nel cestino', trashId: entry.id });
+});
+
+// PATCH /:songId → corregge i campi di una canzone (solo quelli inviati)
+songRouter.patch('/:songId', requireAuth, validate({ params: SONG_PARAMS, body: v.partial(SONG_FIELDS) }), (req, res) => {
+  const { playlistId, songId } = req.params;
+  const db = readDB();
+  const pl = songsPlaylist(db, req, res);
+  if (!pl) return;
+
+  const song = pl.songs.find(s => s.id === songId);
+  if (!song) return res.status(404).json({ error: 'Canzone non trovata' });
+
+  // Titolo e artista restano obbligatori: se inviati non possono essere vuoti (lo controlla lo schema)
+  const { title, artist, album, duration, genre } = req.body;
+  const prev = snapshot(pl);
+  if (title    !== undefined) song.title    = title;
+  if (artist   !== undefined) song.artist   = artist;
+  if (album    !== undefined) song.album    = album;
+  if (duration !== undefined) song.duration = duration || '0:00';
+  if (genre    !== undefined) song.genre    = genre    || 'Altro';
+
+  recordRevision(db, pl, req.currentUser, 'song.update', prev);
+  writeDB(db);
+  publishPlaylist('song.updated', { playlistId, song }, pl);
+  res.json(song);
+});
+
+// PUT /order → riordina le canzoni della playlist. Due forme del body:
+//  { songId, to }     → sposta una canzone alla posizione "to" (0 = prima)
+//  { order: [id…] }   → nuovo ordine completo (deve contenere esattamente le stesse canzoni)
+songRouter.put('/order', requireAuth, validate({
+  params: SONGS_PARAMS,
+  body:   { songId: v.id({ optional: true }), to: v.int({ min: 0, optional: true, label: 'la posizione' }), order: v.list(v.id(), { optional: true }) }
+}), (req, res) => {
+  const { playlistId }         = req.params;
+  const { songId, to, order }  = req.body;
+  const db = readDB();
+  const pl = songsPlaylist(db, req, res);
+  if (!pl) return;
+
+  const songs = pl.songs;
+  const prev  = snapshot(pl);
+
+  if (Array.isArray(order)) {
+    // Stessa lunghezza, nessun duplicato e solo id esistenti → è una permutazione
+    const ids = new Set(order);
+    if (order.length !== songs.length || ids.size !== songs.length || !songs.every(s => ids.has(s.id))) {
+      return res.status(400).json({ error: "L'ordine deve contenere tutte le canzoni della playlist, una volta sola", field: 'order' });
+    }
+    pl.songs = order.map(id => songs.find(s => s.id === id));
+  } else {
+    const from = songs.findIndex(s => s.id === songId);
+    if (from === -1) return res.status(404).json({ error: 'Canzone non trovata' });
+    if (to === undefined || to >= songs.length) {
+      return res.status(400).json({ error: `Posizione non valida (da 0 a ${songs.length - 1})`, field: 'to' });
+    }
+    const [moved] = songs.splice(from, 1); // Toglie la canzone…
+    songs.splice(to, 0, moved);            // …e la reinserisce nella nuova posizione
+  }
+
+  recordRevision(db, pl, req.currentUser, 'song.reorder', prev);
+  writeDB(db);
+  publishPlaylist('playlist.updated', { playlistId }, pl);
+  res.json(pl.songs);
+});
+
+// POST / DELETE /:songId/like → mette o toglie il "mi piace" a una canzone (finisce in "Brani che ti piacciono")
+['post', 'delete'].forEach(method => {
+  songRouter[method]('/:songId/like', requireAuth, validate({ params: SONG_PARAMS }), (req, res) => {
+    const { playlistId, songId } = req.params;
+    const db = readDB();
+    const pl = songsPlaylist(db, req, res, false);
+    if (!pl) return;
+    const song = pl.songs.find(s => s.id === songId);
+    if (!song) return res.status(404).json({ error: 'Canzone non trovata' });
+
+    const had    = likesOf(db, playlistId, songId).some(l => l.userId === req.currentUser.id);
+    const result = setLike(db, req.currentUser, playlistId, songId, method === 'post');
+    const action = [songRecipient(pl, song), 'song.liked', req.currentUser, { playlistId, songId }];
+    let note = null;
+    if (result.liked && !had) note = notify(db, ...action);
+    if (!result.liked && had) retract(db, ...action);
+    writeDB(db);
+    announce(db, note);
+    res.json(result);
+  });
+});
+
+// Reazioni: emoji lasciate dagli utenti su una canzone. Reazione: { userId, playlistId, songId, emoji, createdAt }.
+// Ognuno può lasciarne più d'una sulla stessa canzone (emoji diverse, al massimo MAX_REACTIONS_PER_SONG).
+
+/** Reazioni a una canzone raggruppate per emoji, dalla più usata: [{ emoji, count, mine }] */
+function reactionsOf(db, songId, viewer = null) {
+  const groups = new Map();
+  db.reactions.filter(r => r.songId === songId).forEach(r => {
+    const group = groups.get(r.emoji) || { emoji: r.emoji, count: 0, mine: false };
+    group.count++;
+    group.mine = group.mine || (!!viewer && r.userId === viewer.id);
+    groups.set(r.emoji, group);
+  });
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+// POST / DELETE /:songId/reactions/:emoji → aggiunge o toglie la mia reazione (ripeterla non cambia nulla)
+['post', 'delete'].forEach(method => {
+  songRouter[method]('/:songId/reactions/:emoji', requireAuth, validate({
+    params: { ...SONG_PARAMS, emoji: v.emoji({ label: "l'emoji" }) }
+  }), reactionLimit, (req, res) => {
+    const { playlistId, songId, emoji } = req.params;
+    const db = readDB();
+    const pl = songsPlaylist(db, req, res, false);
+    if (!pl) return;
+    const song = pl.songs.find(s => s.id === songId);
+    if (!song) return res.status(404).json({ error: 'Canzone non trovata' });
+
+    const mine = db.reactions.filter(r => r.songId === songId && r.userId === req.currentUser.id);
+    const had  = mine.some(r => r.emoji === emoji);
+    if (method === 'post' && !had) {
+      if (mine.length >= MAX_REACTIONS_PER_SONG) {
+        return res.status(409).json({ error: `Puoi lasciare al massimo ${MAX_REACTIONS_PER_SONG} reazioni per canzone`, field: 'emoji' });
+      }
+      db.reactions.push({ userId: req.currentUser.id, playlistId, songId, emoji, createdAt: new Date().toISOString() });
+    }
+    if (method === 'delete' && had) {
+      db.reactions = db.reactions.filter(r => !(r.songId === songId && r.userId === req.currentUser.id && r.emoji === emoji));
+    }
+    if (had !== (method === 'post')) {
+      // Una notifica per persona e canzone: dice l'ultima emoji; sparisce quando le ha tolte tutte
+      const recipient = songRecipient(pl, song);
+      const note      = method === 'post'
+        ? notify(db, recipient, 'song.reacted', req.currentUser, { playlistId, songId, emoji }) : null;
+      if (method === 'delete' && mine.length === 1) retract(db, recipient, 'song.reacted', req.currentUser, { playlistId, songId });
+      writeDB(db);
+      publishPlaylist('song.reacted', { playlistId, songId }, pl);
+      announce(db, note);
+    }
+    res.json(reactionsOf(db, songId, req.currentUser));
+  });
+});
+
+// POST /:songId/move → sposta (o copia, con copy: true) una canzone in un'altra playlist
+// Body: { targetPlaylistId, copy?, position? }  (position: indice nella playlist di destinazione; di default in fondo)
+songRouter.post('/:songId/move', requireAuth, validate({
+  params: SONG_PARAMS,
+  body:   { targetPlaylistId: v.id(), copy: v.bool({ default: false }), position: v.int({ min: 0, optional: true }) }
+}), async (req, res) => {
+  const { playlistId, songId }               = req.params;
+  const { targetPlaylistId, copy, position } = req.body;
+  const db     = readDB();
+  const source = songsPlaylist(db, req, res, false); // Per copiare basta vederla (vedi sotto)
+  if (!source) return;
+  const target = db.playlists.find(p => p.id === targetPlaylistId);
+
+  if (!target || !canView(target, req.currentUser, true)) {
+    return res.status(404).json({ error: 'Playlist di destinazione non trovata' });
+  }
+  if (source.id === target.id) {
+    return res.status(400).json({ error: 'La canzone è già in questa playlist (usa il riordino)' });
+  }
+  if (rejectSmart(target, res)) return;
+  // Copiare richiede solo di poter vedere l'origine; spostare toglie la canzone, quindi serve poterla modificare
+  if (!canEditSongs(target, req.currentUser) || (!copy && !canEditSongs(source, req.currentUser))) {
+    return res.status(403).json({ error: 'Non autorizzato' });
+  }
+
+  const song = source.songs.find(s => s.id === songId);
+  if (!song) return res.status(404).json({ error: 'Canzone non trovata' });
+
+  const prevSource = snapshot(source);
+  const prevTarget = snapshot(target);
+  const copies     = [];
+  let result;
+  if (copy) {
+    const newId = generateId();
+    result = {
+      ...song,
+      id:      newId,
+      audio:   copyMedia(song, newId, copies),
+      addedBy: req.currentUser.id,
+      addedAt: new Date().toISOString()
+    };
+  } else {
+    // Spostando la canzone mantiene id, file audio, "mi piace" e reazioni
+    source.songs = source.songs.filter(s => s.id !== songId);
+    result = song;
+    db.likes.filter(l => l.songId === songId).forEach(l => { l.playlistId = target.id; });
+    db.reactions.filter(r => r.songId === songId).forEach(r => { r.playlistId = target.id; });
   }
 
+  const at = position !== undefined ? Math.min(position, target.songs.length) : target.songs.length;
+  target.songs.splice(at, 0, result);
+
+  if (!copy) recordRevision(db, source, req.currentUser, 'song.move', prevSource);
+  recordRevision(db, target, req.currentUser, copy ? 'song.copy' : 'song.move', prevTarget);
   writeDB(db);
-  res.json({ message: 'Canzone rimossa' });
+  await copyFiles(copies);
+  if (!copy) publishPlaylist('song.removed', { playlistId: source.id, songId }, source);
+  publishPlaylist('song.added', { playlistId: target.id, song: result, position: at }, target);
+  res.status(201).json(result);
 });
 
 // ── 12. ROUTE: UTENTI (/api/users) ───────────────────────────
 
 // GET /api/users → lista utenti pubblici (senza password)
-usersRouter.get('/', (req, res) => {
-  const db = readDB();
+// A pagine; ?sort=name|createdAt, ?createdAfter=…
+usersRouter.get('/', optionalAuth, validate({
+  query: listQuery(USER_SORTS, { search: v.text({ max: MAX_QUERY_LENGTH, optional: true, label: 'la ricerca' }) })
+}), (req, res) => {
+  const db = viewDB();
   // req.query contiene i parametri della query string (?search=...)
   const { search } = req.query;
-  let users = db.users.map(sanitizeUser);
+  const params = listParams(req.query, USER_SORTS, 'name');
+  let users = db.users;
 
   if (search) {
-    // Ricerca case-insensitive tramite RegExp
-    const re = new RegExp(search, 'i');
-    users = users.filter(u => re.test(u.username) || re.test(u.bio));
+    // Niente RegExp costruite dall'input: "(" farebbe fallire la richiesta e un pattern
+    // studiato apposta potrebbe bloccare il server. Confronto senza maiuscole e accenti.
+    users = users.filter(u => matchesQuery([u.username, u.bio], search));
   }
 
-  res.json(users);
+  const page = paginate(users, USER_SORTS, params);
+  page.items = page.items.map(u => userWithStats(db, u, req.currentUser));
+  res.json(page);
+});
+
+// GET /api/users/:userId → profilo pubblico (con follower, seguiti e se lo seguo già)
+usersRouter.get('/:userId', optionalAuth, validate({ params: USER_PARAMS }), (req, res) => {
+  const db   = viewDB();
+  const user = db.users.find(u => u.id === req.params.userId);
+  if (!user) return res.status(404).json({ error: 'Utente non trovato' });
+  res.json(userWithStats(db, user, req.currentUser));
 });
 
-// GET /api/users/:userId/playlists → playlist pubbliche di un utente
-usersRouter.get('/:userId/playlists', (req, res) => {
+// POST /api/users/:userId/follow → inizia a seguire un utente (ripeterla non fa nulla)
+usersRouter.post('/:userId/follow', requireAuth, validate({ params: USER_PARAMS }), (req, res) => {
   const { userId } = req.params;
+  const db   = readDB();
+  const user = db.users.find(u => u.id === userId);
+  if (!user) return res.status(404).json({ error: 'Utente non trovato' });
+  if (userId === req.currentUser.id) {
+    return res.status(400).json({ error: 'Non puoi seguire te stesso' });
+  }
+
+  if (!isFollowing(db, req.currentUser.id, userId)) {
+    db.follows.push({ followerId: req.currentUser.id, followeeId: userId, createdAt: new Date().toISOString() });
+    const note = notify(db, userId, 'user.followed', req.currentUser);
+    writeDB(db);
+    publishUser(db, user);
+    publishUser(db, req.currentUser);
+    announce(db, note);
+  }
+  res.json(userWithStats(db, user, req.currentUser));
+});
+
+// DELETE /api/users/:userId/follow → smette di seguire un utente
+usersRouter.delete('/:userId/follow', requireAuth, validate({ params: USER_PARAMS }), (req, res) => {
+  const { userId } = req.params;
+  const db   = readDB();
+  const user = db.users.find(u => u.id === userId);
+  if (!user) return res.status(404).json({ error: 'Utente non trovato' });
+
+  const before = db.follows.length;
+  db.follows = db.follows.filter(f => !(f.followerId === req.currentUser.id && f.followeeId === userId));
+  if (db.follows.length !== before) {
+    retract(db, userId, 'user.followed', req.currentUser);
+    writeDB(db);
+    publishUser(db, user);
+    publishUser(db, req.currentUser);
+  }
+  res.json(userWithStats(db, user, req.currentUser));
+});
+
+// GET /api/users/:userId/followers e /following → elenchi a pagine (più recenti prima)
+['followers', 'following'].forEach(list => {
+  usersRouter.get(`/:userId/${list}`, optionalAuth, validate({ params: USER_PARAMS, query: listQuery(FOLLOW_SORTS) }), (req, res) => {
+    const { userId } = req.params;
+    const db = viewDB();
+    if (!db.users.some(u => u.id === userId)) return res.status(404).json({ error: 'Utente non trovato' });
+    const params = listParams(req.query, FOLLOW_SORTS, 'createdAt');
+
+    // Ogni follow diventa l'utente "dall'altra parte", con la data del follow
+    const follows = list === 'followers'
+      ? db.follows.filter(f => f.followeeId === userId).map(f => ({ otherId: f.followerId, createdAt: f.createdAt }))
+      : db.follows.filter(f => f.followerId === userId).map(f => ({ otherId: f.followeeId, createdAt: f.createdAt }));
+    const users = follows
+      .map(f => ({ ...f, id: f.otherId, user: db.users.find(u => u.id === f.otherId) }))
+      .filter(f => f.user);
+
+    const page = paginate(users, FOLLOW_SORTS, params);
+    page.items = page.items.map(f => ({ ...userWithStats(db, f.user, req.currentUser), followedAt: f.createdAt }));
+    res.json(page);
+  });
+});
+
+// GET /api/users/:userId/playlists → playlist pubbliche di un utente (tutte, se è l'utente loggato)
+// Stessi parametri di GET /api/playlists (pagine, ordinamento, filtri, summary)
+usersRouter.get('/:userId/playlists', optionalAuth, validate({ params: USER_PARAMS, query: PLAYLIST_LIST_QUERY }), (req, res) => {
+  const { userId } = req.params;
+  const db = viewDB();
+  const playlists = db.playlists.filter(p => p.userId === userId && canView(p, req.currentUser));
+  res.json(listPlaylists(db, playlists, req.query, req.currentUser));
+});
+
+// ── 12b. ROUTE: MEDIA (/api/media) ───────────────────────────
+// Streaming dei file audio. Il tag <audio> del browser chiede il file a pezzi
+// con l'header "Range: bytes=inizio-fine" (per il seek e per non scaricare tutto subito):
+// rispondiamo 206 Partial Content con solo quei byte, letti con uno stream.
+
+// GET /api/media/:songId → file audio della canzone (se la sua playlist è visibile all'utente)
+mediaRouter.get('/:songId', urlAuth('media'), validate({ params: { songId: v.id() }, query: {} }), (req, res) => {
+  const db   = viewDB();
+  const pl   = db.playlists.find(p => p.songs.some(s => s.id === req.params.songId));
+  const song = pl && canView(pl, req.currentUser, true) && pl.songs.find(s => s.id === req.params.songId);
+  streamAudio(req, res, song);
+});
+
+/** Invia il file audio della canzone (tutto o l'intervallo chiesto con Range); 404 se non ce l'ha */
+function streamAudio(req, res, song) {
+  const file = song?.audio && path.join(MEDIA_PATH, song.audio.file);
+
+  if (!file || !fs.existsSync(file)) {
+    return res.status(404).json({ error: 'File audio non trovato' });
+  }
+
+  const size = fs.statSync(file).size;
+  res.set({ 'Content-Type': song.audio.mimeType, 'Accept-Ranges': 'bytes' });
+
+  // Range singolo: "bytes=100-200", "bytes=100-" oppure "bytes=-500" (ultimi 500 byte).
+  // Se manca (o è in un formato che non gestiamo, es. più intervalli) inviamo tutto il file.
+  const match = /^bytes=(\d*)-(\d*)$/.exec(req.headers.range || '');
+  if (!match || (match[1] === '' && match[2] === '')) {
+    res.set('Content-Length', size);
+    return fs.createReadStream(file).pipe(res);
+  }
+
+  let start, end;
+  if (match[1] === '') {
+    start = Math.max(size - Number(match[2]), 0);
+    end   = size - 1;
+  } else {
+    start = Number(match[1]);
+    end   = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    // 416 Range Not Satisfiable: l'intervallo chiesto è fuori dal file
+    res.set('Content-Range', `bytes */${size}`);
+    return res.status(416).end();
+  }
+
+  res.status(206).set({
+    'Content-Range':  `bytes ${start}-${end}/${size}`,
+    'Content-Length': end - start + 1
+  });
+  fs.createReadStream(file, { start, end }).pipe(res);
+}
+
+// ── 12c. ROUTE: RICERCA (/api/search) ────────────────────────
+
+// GET /api/search?q=…&limit=… → brani, playlist e utenti, raggruppati e ordinati per pertinenza
+// Si cerca solo tra le playlist che l'utente può vedere negli elenchi (pubbliche + le sue)
+searchRouter.get('/', optionalAuth, validate({
+  query: {
+    q:     v.text({ max: MAX_QUERY_LENGTH, default: '', label: 'la ricerca' }),
+    limit: v.int({ min: 1, max: 50, default: 20 })
+  }
+}), (req, res) => {
+  const { q, limit } = req.query;
+
+  const db = viewDB();
+  const results = searchAll({
+    playlists: db.playlists.filter(pl => canView(pl, req.currentUser)),
+    users:     db.users.map(u => userWithStats(db, u, req.currentUser))
+  }, q, limit);
+  res.json({ query: q, ...results });
+});
+
+// ── 12d. ROUTE: LIBRERIA (/api/library) ─────────────────────
+// La libreria dell'utente loggato: playlist salvate (con "mi piace") e brani che gli piacciono.
+// Una playlist eliminata o diventata privata sparisce da sola: si mostra solo ciò che si può vedere.
+
+/** I "mi piace" dell'utente, dal più recente, su playlist che può ancora vedere */
+function myLikes(db, user, songs) {
+  return db.likes
+    .filter(l => l.userId === user.id && (l.songId !== null) === songs)
+    .map(l => ({ like: l, pl: db.playlists.find(p => p.id === l.playlistId) }))
+    .filter(({ pl }) => pl && canView(pl, user, true))
+    .sort((a, b) => b.like.createdAt.localeCompare(a.like.createdAt));
+}
+
+// GET /api/library/playlists → playlist salvate
+libraryRouter.get('/playlists', requireAuth, (req, res) => {
+  const db = viewDB();
+  res.json(myLikes(db, req.currentUser, false).map(({ like, pl }) => ({
+    ...withPeople(db, pl, req.currentUser),
+    savedAt: like.createdAt
+  })));
+});
+
+// GET /api/library/songs → "Brani che ti piacciono", con la stessa forma di una playlist
+// (così il client la mostra e la riproduce come le altre); è virtuale: non si modifica
+libraryRouter.get('/songs', requireAuth, (req, res) => {
+  const db    = viewDB();
+  const songs = myLikes(db, req.currentUser, true)
+    .map(({ like, pl }) => {
+      const song = pl.songs.find(s => s.id === like.songId);
+      return song && {
+        ...song,
+        playlistId:   pl.id,
+        playlistName: pl.name,
+        likedAt:      like.createdAt,
+        likeCount:    likesOf(db, pl.id, song.id).length,
+        liked:        true,
+        reactions:    reactionsOf(db, song.id, req.currentUser)
+      };
+    })
+    .filter(Boolean);
+
+  res.json({
+    id:         'liked',
+    virtual:    true,
+    userId:     req.currentUser.id,
+    author:     sanitizeUser(req.currentUser),
+    name:       'Brani che ti piacciono',
+    subtitle:   'Si aggiorna da sola con i tuoi ♥',
+    cover:      '💚',
+    visibility: 'private',
+    members:    [],
+    songs,
+    createdAt:  req.currentUser.createdAt
+  });
+});
+
+// ── 12e. ROUTE: CRONOLOGIA E STATISTICHE (/api/history) ──────
+// Il client segnala ogni ascolto quando finisce (o si passa ad altro) con i secondi
+// realmente ascoltati. Titolo, artista, genere e nome della playlist vengono copiati
+// nell'ascolto: le statistiche restano giuste anche se il brano viene modificato o eliminato.
+
+// POST /api/history { songId, playlistId, seconds, playedAt? } → registra un ascolto
+historyRouter.post('/', requireAuth, validate({
+  body: {
+    songId:     v.id(),
+    playlistId: v.id(),
+    seconds:    v.number({ gt: 0, max: MAX_PLAY_SECONDS }),
+    playedAt:   v.date({ optional: true })
+  }
+}), (req, res) => {
+  const { songId, playlistId, seconds, playedAt } = req.body;
+  const when = playedAt ? new Date(playedAt) : new Date();
+  // Un minuto di tolleranza per l'orologio del client
+  if (when.getTime() > Date.now() + 60 * 1000) {
+    return res.status(400).json({ error: 'playedAt non può essere nel futuro', field: 'playedAt' });
+  }
+
+  const db   = readDB();
+  const pl   = db.playlists.find(p => p.id === playlistId);
+  const song = pl && canView(pl, req.currentUser, true) && pl.songs.find(s => s.id === songId);
+  if (!song) return res.status(404).json({ error: 'Canzone non trovata' });
+
+  const play = {
+    id:           generateId(),
+    userId:       req.currentUser.id,
+    songId,
+    playlistId,
+    title:        song.title,
+    artist:       song.artist,
+    genre:        song.genre || 'Altro',
+    playlistName: pl.name,
+    seconds:      Math.round(seconds),
+    playedAt:     when.toISOString()
+  };
+  db.plays.push(play);
+
+  // Tiene solo gli ultimi MAX_PLAYS_PER_USER ascolti dell'utente
+  const mine = db.plays.filter(p => p.userId === req.currentUser.id);
+  if (mine.length > MAX_PLAYS_PER_USER) {
+    const oldest = new Set(mine.sort((a, b) => a.playedAt.localeCompare(b.playedAt))
+      .slice(0, mine.length - MAX_PLAYS_PER_USER).map(p => p.id));
+    db.plays = db.plays.filter(p => !oldest.has(p.id));
+  }
+
+  writeDB(db);
+  res.status(201).json(play);
+});
+
+// GET /api/history → i miei ascolti, dal più recente (a pagine)
+historyRouter.get('/', requireAuth, validate({ query: listQuery(FOLLOW_SORTS) }), (req, res) => {
+  const params = listParams(req.query, FOLLOW_SORTS, 'createdAt');
+  const db    = viewDB();
+  const plays = db.plays
+    .filter(p => p.userId === req.currentUser.id)
+    .map(p => ({ ...p, createdAt: p.playedAt })); // paginate ordina per createdAt
+  const page = paginate(plays, FOLLOW_SORTS, params);
+  page.items = page.items.map(({ createdAt, ...p }) => p);
+  res.json(page);
+});
+
+// GET /api/history/recent → playlist ascoltate di recente (senza ripetizioni), per la Home
+historyRouter.get('/recent', requireAuth, validate({ query: { limit: v.int({ min: 1, max: 20, default: 8 }) } }), (req, res) => {
+  const { limit } = req.query;
+  const db    = viewDB();
+  const seen  = new Set();
+  const recent = [];
+  db.plays
+    .filter(p => p.userId === req.currentUser.id)
+    .sort((a, b) => b.playedAt.localeCompare(a.playedAt))
+    .forEach(p => {
+      if (recent.length >= limit || seen.has(p.playlistId)) return;
+      seen.add(p.playlistId);
+      const pl = db.playlists.find(x => x.id === p.playlistId);
+      if (pl && canView(pl, req.currentUser, true)) {
+        recent.push({ ...summarizePlaylist(db, pl, req.currentUser), lastPlayedAt: p.playedAt });
+      }
+    });
+  res.json(recent);
+});
+
+// GET /api/history/stats?days=7|30|90|365 → artisti, generi e playlist più ascoltati, tempo per giorno/settimana
+historyRouter.get('/stats', requireAuth, validate({
+  query: { days: v.int({ values: STATS_PERIODS, default: 30, label: 'il periodo' }) }
+}), (req, res) => {
+  const { days } = req.query;
+  const db    = viewDB();
+  const stats = computeStats(db.plays.filter(p => p.userId === req.currentUser.id), days);
+
+  // Nome e cover aggiornati delle playlist che esistono ancora e che posso vedere
+  stats.topPlaylists = stats.topPlaylists.map(t => {
+    const pl = db.playlists.find(p => p.id === t.key);
+    const visible = pl && canView(pl, req.currentUser, true);
+    return {
+      ...t,
+      name:       visible ? pl.name : t.name,
+      cover:      visible ? pl.cover : '🎵',
+      coverImage: visible ? pl.coverImage : undefined,
+      available:  !!visible
+    };
+  });
+  res.json(stats);
+});
+
+// ── 12f. ROUTE: ATTIVITÀ DI CHI SEGUI (/api/feed) ────────────
+// Il feed non è salvato: si ricava ogni volta dai dati (playlist e brani con la loro data),
+// così una playlist eliminata o diventata privata sparisce da sola anche dal feed.
+
+/** Attività degli utenti in "userIds" visibili a viewer, dalla più recente */
+function buildFeed(db, userIds, viewer) {
+  const people = new Set(userIds);
+  const author = id => {
+    const u = db.users.find(x => x.id === id);
+    return u ? { id: u.id, username: u.username, avatar: u.avatar, avatarImage: u.avatarImage } : null;
+  };
+  const playlistInfo = pl => ({ id: pl.id, name: pl.name, cover: pl.cover, coverImage: pl.coverImage });
+  const items = [];
+
+  db.playlists.filter(pl => canView(pl, viewer)).forEach(pl => {
+    if (people.has(pl.userId)) {
+      items.push({
+        id:        `playlist:${pl.id}`,
+        type:      'playlist_created',
+        createdAt: pl.createdAt,
+        user:      author(pl.userId),
+        playlist:  playlistInfo(pl)
+      });
+    }
+
+    // Brani aggiunti: quelli della stessa persona, nella stessa playlist e nello stesso
+    // giorno diventano una sola voce (un'importazione non riempie il feed)
+    const groups = new Map();
+    pl.songs.filter(s => s.addedAt && people.has(s.addedBy)).forEach(s => {
+      const key = `${s.addedBy}:${s.addedAt.slice(0, 10)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(s);
+    });
+    groups.forEach((songs, key) => {
+      const latest = songs.reduce((a, b) => (b.addedAt > a.addedAt ? b : a));
+      items.push({
+        id:        `songs:${pl.id}:${key}`,
+        type:      'songs_added',
+        createdAt: latest.addedAt,
+        user:      author(songs[0].addedBy),
+        playlist:  playlistInfo(pl),
+        songs:     songs.slice(-3).map(({ id, title, artist }) => ({ id, title, artist })), // Le ultime tre
+        songCount: songs.length
+      });
+    });
+  });
+
+  // Playlist salvate (con "mi piace") da chi seguo
+  db.likes.filter(l => l.songId === null && people.has(l.userId)).forEach(l => {
+    const pl = db.playlists.find(p => p.id === l.playlistId);
+    if (!pl || !canView(pl, viewer)) return;
+    items.push({
+      id:        `like:${l.userId}:${pl.id}`,
+      type:      'playlist_liked',
+      createdAt: l.createdAt,
+      user:      author(l.userId),
+      playlist:  playlistInfo(pl)
+    });
+  });
+
+  return items.filter(item => item.user);
+}
+
+// GET /api/feed → attività recenti degli utenti che seguo (a pagine)
+feedRouter.get('/', requireAuth, validate({ query: listQuery(FOLLOW_SORTS) }), (req, res) => {
+  const params = listParams(req.query, FOLLOW_SORTS, 'createdAt');
+
+  const db        = viewDB();
+  const following = db.follows.filter(f => f.followerId === req.currentUser.id).map(f => f.followeeId);
+  res.json(paginate(buildFeed(db, following, req.currentUser), FOLLOW_SORTS, params));
+});
+
+// ── 12g. ROUTE: CONSIGLI (/api/recommendations) ──────────────
+// I gusti dell'utente vengono da tutto quello che ha: le sue playlist, i brani e le
+// playlist che gli piacciono e la cronologia di ascolto. Degli altri utenti si usano
+// solo le playlist che l'utente può vedere: un consiglio non rivela mai dati privati.
+
+/** Brani dell'utente con il loro peso nel profilo dei gusti, e playlist che ha già */
+function tasteOf(db, user) {
+  const entries = [];
+  const own     = db.playlists.filter(pl => roleOf(pl, user));
+  const saved   = myLikes(db, user, false).map(({ pl }) => pl);
+  own.forEach(pl => pl.songs.forEach(s => entries.push({ ...s, weight: 1 })));
+  saved.forEach(pl => pl.songs.forEach(s => entries.push({ ...s, weight: 0.5 })));
+  myLikes(db, user, true).forEach(({ like, pl }) => {
+    const song = pl.songs.find(s => s.id === like.songId);
+    if (song) entries.push({ ...song, weight: 2 });
+  });
+  db.plays.filter(p => p.userId === user.id).forEach(p => entries.push({ ...p, weight: 0.5 }));
+  return { entries, playlistIds: [...own, ...saved].map(pl => pl.id) };
+}
+
+// GET /api/recommendations?limit=… → brani e playlist "Fatti per te", ognuno con il suo motivo
+recommendRouter.get('/', requireAuth, validate({ query: { limit: v.int({ min: 1, max: 50, default: 10 }) } }), (req, res) => {
+  const { limit } = req.query;
+  const db      = viewDB();
+  const viewer  = req.currentUser;
+  const visible = db.playlists.filter(pl => canView(pl, viewer));
+
+  const others = db.users.filter(u => u.id !== viewer.id).map(u => ({
+    user:    { id: u.id, username: u.username },
+    entries: visible.filter(pl => pl.userId === u.id).flatMap(pl => pl.songs.map(s => ({ ...s, weight: 1 })))
+  }));
+  const playlists = visible.map(pl => ({
+    ...pl,
+    likeCount: likesOf(db, pl.id, null).length,
+    songs:     pl.songs.map(s => ({ ...s, likeCount: likesOf(db, pl.id, s.id).length }))
+  }));
+
+  const result = recommend({ mine: tasteOf(db, viewer), others, playlists }, limit);
+  res.json({
+    songs: result.songs.map(({ song, playlist, reason }) => ({
+      ...song,
+      playlistId:   playlist.id,
+      playlistName: playlist.name,
+      cover:        playlist.cover,
+      coverImage:   playlist.coverImage,
+      reason
+    })),
+    playlists: result.playlists.map(({ playlist, reason }) => ({
+      ...summarizePlaylist(db, db.playlists.find(p => p.id === playlist.id), viewer),
+      reason
+    }))
+  });
+});
+
+// ── 12h. ROUTE: AGGIORNAMENTI IN TEMPO REALE (/api/live) ─────
+// Stream Server-Sent Events: resta aperto e riceve un evento per ogni modifica visibile
+// all'utente. EventSource (lato browser) non può inviare header: un token breve (uso "live")
+// arriva come ?token=…; se la connessione cade il browser si ricollega da solo con Last-Event-ID
+// (oppure il client lo passa come ?lastEventId=… quando riapre lo stream a mano).
+// Eventi: playlist.created/updated/deleted, song.added/removed/updated/reacted, comment.changed,
+// user.updated/deleted, notification.created/read (solo al destinatario), più "ready" (stream aperto) e "resync" (eventi persi non recuperabili: ricaricare tutto).
+
+// GET /api/live?token=…&lastEventId=…
+liveRouter.get('/', urlAuth('live'), validate({ query: { lastEventId: v.text({ max: 100, optional: true }) } }), (req, res) => {
+  if (!req.currentUser) return res.status(401).json({ error: 'Non autenticato' });
+  live.connect(req, res, {
+    user:        req.currentUser,
+    sessionId:   req.sessionId,
+    lastEventId: req.get('Last-Event-ID') || req.query.lastEventId
+  });
+});
+
+// ── 12i. ROUTE: IMMAGINI (/api/images) ───────────────────────
+// Miniature di copertine e avatar: GET /api/images/<id>-<lato>.<ext> (lati in IMAGE_SIZES).
+// Un file non cambia mai: una nuova immagine ha un nuovo id. Il browser può quindi tenerlo in
+// cache per un anno senza ricontrollarlo (immutable). Gli id sono casuali: la copertina di una
+// playlist privata resta introvabile per chi non la vede.
+imagesRouter.use(express.static(IMAGES_PATH, {
+  index:      false,
+  maxAge:     '1y',
+  immutable:  true,
+  setHeaders: res => res.set('X-Content-Type-Options', 'nosniff')
+}));
+
+// ── 12j. ROUTE: CESTINO (/api/trash) ─────────────────────────
+// Playlist e canzoni eliminate non spariscono subito: finiscono nel cestino di chi le ha eliminate
+// e si possono ripristinare com'erano (posizione e "mi piace" compresi). Dopo TRASH_RETENTION_MS
+// escono da sole; solo allora (o svuotando il cestino) si cancellano file audio e copertine.
+// Voce: { id, userId, type: 'playlist', playlist, likes, deletedAt }
+//    o: { id, userId, type: 'song', song, playlistId, playlistName, position, likes, deletedAt }
+
+const TRASH_SORTS = {
+  deletedAt: { compare: (a, b) => a.deletedAt.localeCompare(b.deletedAt), order: 'desc' }
+};
+
+/** Quando la voce uscirà da sola dal cestino (timestamp in ms) */
+function trashExpiry(entry) {
+  return new Date(entry.deletedAt).getTime() + TRASH_RETENTION_MS;
+}
+
+/** Aggiunge al cestino di user una playlist o canzone già tolta dal DB; restituisce la voce */
+function moveToTrash(db, user, item) {
+  purgeExpiredTrash(db); // Pulizia: come per le sessioni, le voci scadute si tolgono quando se ne aggiunge una
+  const entry = { id: generateId(), userId: user.id, ...item, deletedAt: new Date().toISOString() };
+  db.trash.push(entry);
+  return entry;
+}
+
+/**
+ * Toglie dal DB ciò che resta di playlist eliminate per sempre: revisioni, link di condivisione,
+ * commenti, reazioni e le notifiche che ne parlano
+ */
+function forgetPlaylists(db, playlistIds) {
+  const gone = new Set(playlistIds);
+  db.revisions     = db.revisions.filter(r => !gone.has(r.playlistId));
+  db.shareLinks    = db.shareLinks.filter(l => !gone.has(l.playlistId));
+  db.comments      = db.comments.filter(c => !gone.has(c.playlistId));
+  db.reactions     = db.reactions.filter(r => !gone.has(r.playlistId));
+  db.notifications = db.notifications.filter(n => !gone.has(n.playlistId));
+}
+
+/** Id delle playlist di queste voci del cestino (le voci delle canzoni non ne hanno) */
+function trashedPlaylistIds(entries) {
+  return entries.filter(e => e.type === 'playlist').map(e => e.playlist.id);
+}
+
+/**
+ * Come forgetPlaylists, per voci che lasciano il cestino per sempre.
+ * Le reazioni a una canzone nel cestino restano nel DB finché la si può ripristinare: si tolgono qui.
+ */
+function forgetTrashed(db, entries) {
+  forgetPlaylists(db, trashedPlaylistIds(entries));
+  const songs = new Set(entries.filter(e => e.type === 'song').map(e => e.song.id));
+  db.reactions = db.reactions.filter(r => !songs.has(r.songId));
+}
+
+/** Cancella dal disco i file di una voce che lascia il cestino per sempre */
+function purgeFiles(entry) {
+  if (entry.type === 'song') return removeMedia(entry.song);
+  entry.playlist.songs.forEach(removeMedia);
+  removeImage(entry.playlist.coverImage);
+}
+
+/** Toglie dal cestino le voci scadute (e i loro file); true se ce n'erano */
+function purgeExpiredTrash(db) {
+  const now     = Date.now();
+  const expired = db.trash.filter(e => trashExpiry(e) <= now);
+  db.trash = db.trash.filter(e => !expired.includes(e));
+  forgetTrashed(db, expired);
+  expired.forEach(purgeFiles);
+  return expired.length > 0;
+}
+
+/** Voce del cestino per il client: la playlist senza canzoni (solo il numero), oppure la canzone e da dove veniva */
+function trashView(db, entry, user) {
+  const base = { id: entry.id, type: entry.type, deletedAt: entry.deletedAt, expiresAt: new Date(trashExpiry(entry)).toISOString() };
+  if (entry.type === 'playlist') {
+    const { songs, ...playlist } = entry.playlist;
+    return { ...base, playlist: { ...playlist, songCount: songs.length }, restorable: true };
+  }
+  // La canzone si può rimettere solo se la sua playlist c'è ancora e posso ancora modificarla
+  const pl = db.playlists.find(p => p.id === entry.playlistId);
+  return {
+    ...base,
+    song:       entry.song,
+    playlist:   pl ? { id: pl.id, name: pl.name, cover: pl.cover, coverImage: pl.coverImage }
+                   : { id: entry.playlistId, name: entry.playlistName, cover: '🎵' },
+    restorable: !!pl && canEditSongs(pl, user)
+  };
+}
+
+// GET /api/trash → il mio cestino, dalle eliminazioni più recenti (a pagine)
+trashRouter.get('/', requireAuth, validate({ query: listQuery(TRASH_SORTS) }), (req, res) => {
+  const params = listParams(req.query, TRASH_SORTS, 'deletedAt');
+  const db = readDB(); // Può scrivere: toglie le voci scadute
+  if (purgeExpiredTrash(db)) writeDB(db);
+
+  const page = paginate(db.trash.filter(e => e.userId === req.currentUser.id), TRASH_SORTS, params);
+  page.items = page.items.map(e => trashView(db, e, req.currentUser));
+  res.json(page);
+});
+
+// POST /api/trash/:id/restore → rimette la playlist o la canzone dov'era (è anche l'"Annulla" dopo un'eliminazione)
+trashRouter.post('/:id/restore', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+  const db    = readDB();
+  const entry = db.trash.find(e => e.id === req.params.id && e.userId === req.currentUser.id);
+  if (!entry) return res.status(404).json({ error: 'Elemento non trovato nel cestino' });
+
+  // Chi nel frattempo ha eliminato l'account non torna tra i collaboratori né tra i "mi piace"
+  const exists = userId => db.users.some(u => u.id === userId);
+  const likes  = entry.likes.filter(l => exists(l.userId));
+
+  if (entry.type === 'playlist') {
+    const pl = { ...entry.playlist, members: (entry.playlist.members || []).filter(m => exists(m.userId)) };
+    db.playlists.push(pl);
+    db.likes.push(...likes);
+    db.trash = db.trash.filter(e => e !== entry);
+    writeDB(db);
+    // people: anche i collaboratori se la vedono ricomparire nella loro libreria
+    publishPlaylist('playlist.created', { playlistId: pl.id, userId: pl.userId, people: peopleOf(pl) }, pl);
+    return res.json({ type: 'playlist', playlist: withPeople(db, pl, req.currentUser) });
+  }
+
+  const pl = db.playlists.find(p => p.id === entry.playlistId);
+  if (!pl) {
+    // 409 Conflict: la canzone in sé va bene, ma non ha più una playlist in cui tornare
+    return res.status(409).json({ error: 'La playlist di questa canzone non esiste più (se è nel cestino, ripristina prima quella)' });
+  }
+  if (!canEditSongs(pl, req.currentUser)) {
+    return res.status(403).json({ error: 'Non puoi più modificare la playlist di questa canzone' });
+  }
+  const position = Math.min(entry.position, pl.songs.length);
+  const prev     = snapshot(pl);
+  pl.songs.splice(position, 0, entry.song);
+  db.likes.push(...likes);
+  db.trash = db.trash.filter(e => e !== entry);
+  recordRevision(db, pl, req.currentUser, 'song.restore', prev);
+  writeDB(db);
+  publishPlaylist('song.added', { playlistId: pl.id, song: entry.song, position }, pl);
+  res.json({ type: 'song', playlistId: pl.id, song: entry.song, position });
+});
+
+// DELETE /api/trash/:id → elimina per sempre una voce (con i suoi file)
+trashRouter.delete('/:id', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
+  const db    = readDB();
+  const entry = db.trash.find(e => e.id === req.params.id && e.userId === req.currentUser.id);
+  if (!entry) return res.status(404).json({ error: 'Elemento non trovato nel cestino' });
+  db.trash = db.trash.filter(e => e !== entry);
+  forgetTrashed(db, [entry]);
+  writeDB(db);
+  purgeFiles(entry);
+  res.json({ message: 'Eliminato per sempre' });
+});
+
+// DELETE /api/trash → svuota il cestino
+trashRouter.delete('/', requireAuth, (req, res) => {
+  const db   = readDB();
+  const mine = db.trash.filter(e => e.userId === req.currentUser.id);
+  db.trash = db.trash.filter(e => e.userId !== req.currentUser.id);
+  forgetTrashed(db, mine);
+  writeDB(db);
+  mine.forEach(purgeFiles);
+  res.json({ message: 'Cestino svuotato', deleted: mine.length });
+});
+
+// ── 12k. ROUTE: PLAYLIST CONDIVISE (/api/shared) ─────────────
+// Lettura anonima di una playlist tramite il token di un link di condivisione (vedi 10d).
+// Una playlist nel cestino non si apre (il link torna a funzionare se la si ripristina).
+// I brani di una playlist smart si scelgono come per un visitatore anonimo: mai da playlist private.
+
+/** Playlist (già calcolata se smart) aperta dal token; null se il link non vale più */
+function findShared(db, token) {
+  const link = db.shareLinks.find(l => l.token === token && isShareActive(l));
+  const pl   = link && db.playlists.find(p => p.id === link.playlistId);
+  return pl ? resolveSmart(db, pl, null) : null;
+}
+
+/** Solo ciò che serve per ascoltare: niente membri, "mi piace" né file sul disco */
+function sharedView(db, req, pl, token) {
+  const author = db.users.find(u => u.id === pl.userId);
+  return {
+    id:         pl.id,
+    name:       pl.name,
+    subtitle:   pl.subtitle || '',
+    cover:      pl.cover,
+    coverImage: pl.coverImage,
+    smart:      !!pl.smart,
+    createdAt:  pl.createdAt,
+    author:     author ? { username: author.username, avatar: author.avatar, avatarImage: author.avatarImage } : null,
+    songs:      pl.songs.map(s => ({
+      id:       s.id,
+      title:    s.title,
+      artist:   s.artist,
+      album:    s.album,
+      duration: s.duration,
+      genre:    s.genre,
+      mediaUrl: s.audio ? `${baseUrl(req)}/api/shared/${token}/media/${s.id}` : null
+    }))
+  };
+}
+
+// GET /api/shared/:token → la playlist del link, in sola lettura
+sharedRouter.get('/:token', validate({ params: TOKEN_PARAMS }), (req, res) => {
+  const db = viewDB();
+  const pl = findShared(db, req.params.token);
+  if (!pl) return res.status(404).json({ error: 'Link non valido o scaduto' });
+  res.json(sharedView(db, req, pl, req.params.token));
+});
+
+// GET /api/shared/:token/media/:songId → audio di un brano della playlist condivisa (con Range, come /api/media)
+sharedRouter.get('/:token/media/:songId', validate({ params: { ...TOKEN_PARAMS, songId: v.id() } }), (req, res) => {
+  const pl = findShared(viewDB(), req.params.token);
+  streamAudio(req, res, pl?.songs.find(s => s.id === req.params.songId));
+});
+
+// ── 12l. ROUTE: PAGINE CONDIVISE (/s/:token, /embed/:token) ──
+// HTML già pronto (vedi sharePages.js): si legge senza JavaScript e porta i meta Open Graph per
+// le anteprime. Solo /embed si può mettere in un iframe di un altro sito.
+// Il token è nell'indirizzo: la pagina non carica nulla da fuori e non lo passa come Referer.
+
+function sendSharePage(res, status, html, embed) {
+  res.status(status).set({
+    'Content-Security-Policy': "default-src 'none'; img-src 'self'; media-src 'self'; style-src 'unsafe-inline'; "
+      + `script-src 'unsafe-inline'; frame-ancestors ${embed ? '*' : "'self'"}`,
+    'Referrer-Policy': 'no-referrer',
+    'Cache-Control':   'no-cache' // Un link revocato deve smettere subito di funzionare
+  }).type('html').send(html);
+}
+
+['s', 'embed'].forEach(kind => {
+  pagesRouter.get(`/${kind}/:token`, (req, res) => {
+    const embed = kind === 'embed';
+    const db    = viewDB();
+    const pl    = /^[\w-]{1,64}$/.test(req.params.token) && findShared(db, req.params.token);
+    if (!pl) return sendSharePage(res, 404, renderShareNotFound({ embed }), embed);
+
+    const { token } = req.params;
+    const view = sharedView(db, req, pl, token);
+    const urls = {
+      page:  `${baseUrl(req)}/s/${token}`,
+      image: size => (view.coverImage ? `${baseUrl(req)}/api/images/${view.coverImage.id}-${size}.${view.coverImage.ext}` : null),
+      media: song => song.mediaUrl
+    };
+    sendSharePage(res, 200, renderSharedPlaylist(view, urls, { embed }), embed);
+  });
+});
+
+// ── 12m. ROUTE: NOTIFICHE (/api/notifications) ───────────────
+// Avvisi per chi riceve follow, commenti, collaborazioni, "mi piace" e reazioni (vedi notifications.js).
+// Notifica: { id, userId (chi la riceve), type, actorId, playlistId?, songId?, commentId?, role?, emoji?,
+//             createdAt, read }
+// Le route che le creano chiamano notify() prima di writeDB() e announce() dopo, come publishPlaylist.
+// Lo stream /api/live avvisa solo il destinatario: "notification.created" e "notification.read",
+// con il numero di non lette aggiornato (serve al badge delle altre schede).
+
+const NOTIFICATION_SORTS = {
+  createdAt: { compare: (a, b) => a.createdAt.localeCompare(b.createdAt), order: 'desc' }
+};
+
+/**
+ * Crea una notifica per recipientId da parte di actor (mai a sé stessi, mai a utenti che non ci sono più).
+ * extra: playlistId, songId, commentId, role, emoji. Restituisce la notifica salvata o null.
+ */
+function notify(db, recipientId, type, actor, extra = {}) {
+  const recipient = db.users.find(u => u.id === recipientId);
+  if (!recipient || recipient.id === actor.id) return null;
+  return addNotification(db.notifications, recipient, {
+    id:        generateId(),
+    userId:    recipient.id,
+    type,
+    actorId:   actor.id,
+    ...extra,
+    createdAt: new Date().toISOString(),
+    read:      false
+  });
+}
+
+/** Toglie la notifica non letta di un'azione disfatta (es. "mi piace" tolto) */
+function retract(db, recipientId, type, actor, extra = {}) {
+  return retractNotification(db.notifications, { userId: recipientId, type, actorId: actor.id, ...extra });
+}
+
+/** Chi riceve le notifiche di una canzone: chi l'ha aggiunta, altrimenti il proprietario della playlist */
+function songRecipient(pl, song) {
+  return song.addedBy || pl.userId;
+}
+
+function unreadCount(db, userId) {
+  return db.notifications.filter(n => n.userId === userId && !n.read).length;
+}
+
+/** Evento in tempo reale per il destinatario (dopo writeDB; notification null = nessuna notifica) */
+function announce(db, notification) {
+  if (!notification) return;
+  const { userId } = notification;
+  live.publish('notification.created', { notificationId: notification.id, unread: unreadCount(db, userId) },
+    user => user.id === userId);
+}
+
+/** Notifica per il client: chi, su quale playlist/canzone/commento (null se non esiste più o non la vedo) */
+function notificationView(db, n, viewer) {
+  const actor   = db.users.find(u => u.id === n.actorId);
+  const pl      = n.playlistId && db.playlists.find(p => p.id === n.playlistId);
+  const visible = pl && canView(pl, viewer, true);
+  const song    = visible && n.songId && pl.songs.find(s => s.id === n.songId);
+  const comment = visible && n.commentId && db.comments.find(c => c.id === n.commentId && !c.deleted);
+  return {
+    id:        n.id,
+    type:      n.type,
+    kind:      NOTIFICATION_TYPES[n.type],
+    read:      n.read,
+    createdAt: n.createdAt,
+    actor:     actor ? { id: actor.id, username: actor.username, avatar: actor.avatar, avatarImage: actor.avatarImage } : null,
+    playlist:  visible ? { id: pl.id, name: pl.name, cover: pl.cover, coverImage: pl.coverImage } : null,
+    song:      song ? { id: song.id, title: song.title, artist: song.artist } : null,
+    comment:   comment ? { id: comment.id, text: comment.text.slice(0, 140) } : null,
+    role:      n.role || null,
+    emoji:     n.emoji || null
+  };
+}
+
+/** Segna come lette le notifiche di user scelte da which; avvisa le altre schede se ne è cambiata qualcuna */
+function markRead(db, user, which) {
+  const changed = db.notifications.filter(n => n.userId === user.id && !n.read && which(n));
+  changed.forEach(n => { n.read = true; });
+  if (!changed.length) return 0;
+  writeDB(db);
+  live.publish('notification.read', { unread: unreadCount(db, user.id) }, u => u.id === user.id);
+  return changed.length;
+}
+
+// GET /api/notifications → le mie notifiche, dalle più recenti (a pagine); ?unread=1 solo le non lette.
+// Oltre alla pagina c'è sempre "unread": quante non lette in tutto (per il badge)
+notificationsRouter.get('/', requireAuth, validate({
+  query: listQuery(NOTIFICATION_SORTS, { unread: v.bool({ optional: true }) })
+}), (req, res) => {
+  const db   = viewDB();
+  const mine = db.notifications.filter(n => n.userId === req.currentUser.id && (!req.query.unread || !n.read));
+  const page = paginate(mine, NOTIFICATION_SORTS, listParams(req.query, NOTIFICATION_SORTS, 'createdAt'));
+  page.items  = page.items.map(n => notificationView(db, n, req.currentUser));
+  page.unread = unreadCount(db, req.currentUser.id);
+  res.json(page);
+});
+
+// POST /api/notifications/read-all → segna tutte come lette
+notificationsRouter.post('/read-all', requireAuth, (req, res) => {
+  const db     = readDB();
+  const marked = markRead(db, req.currentUser, () => true);
+  res.json({ marked, unread: 0 });
+});
+
+// POST /api/notifications/:id/read → segna come letta una notifica (ripeterla non cambia nulla)
+notificationsRouter.post('/:id/read', requireAuth, validate({ params: ID_PARAMS }), (req, res) => {
   const db = readDB();
-  const playlists = db.playlists.filter(p => p.userId === userId);
-  res.json(playlists);
+  if (!db.notifications.some(n => n.id === req.params.id && n.userId === req.currentUser.id)) {
+    return res.status(404).json({ error: 'Notifica non trovata' });
+  }
+  markRead(db, req.currentUser, n => n.id === req.params.id);
+  res.json({ unread: unreadCount(db, req.currentUser.id) });
+});
+
+// GET /api/notifications/preferences → { follow, comment, collaboration, like }: quali categorie ricevo
+notificationsRouter.get('/preferences', requireAuth, (req, res) => {
+  res.json(notificationPrefs(req.currentUser));
+});
+
+// PATCH /api/notifications/preferences { follow?, comment?, collaboration?, like? } → accende o spegne
+// le categorie inviate. Spegnerne una ferma le nuove notifiche; quelle già arrivate restano.
+notificationsRouter.patch('/preferences', requireAuth, validate({
+  body: Object.fromEntries(NOTIFICATION_KINDS.map(kind => [kind, v.bool({ optional: true, label: `la categoria ${kind}` })]))
+}), (req, res) => {
+  const db   = readDB();
+  const user = db.users.find(u => u.id === req.currentUser.id);
+  user.notificationPrefs = { ...notificationPrefs(user), ...req.body };
+  writeDB(db);
+  res.json(user.notificationPrefs);
 });
 
 // ── 13. COLLEGAMENTO DEI ROUTER ALL'APP ──────────────────────
 // app.use() monta i router su un prefisso di percorso
 app.use('/api/auth',     authRouter);
 app.use('/api/playlists', playlistRouter);
-// Percorso annidato per le canzoni (express.Router con mergeParams=true per ereditare :playlistId)
-app.use('/api/playlists/:playlistId/songs', express.Router({ mergeParams: true }).use('/', songRouter));
+// Percorso annidato per le canzoni (songRouter ha mergeParams=true per ereditare :playlistId)
+app.use('/api/playlists/:playlistId/songs', songRouter);
 app.use('/api/users',    usersRouter);
+app.use('/api/media',    mediaRouter);
+app.use('/api/search',   searchRouter);
+app.use('/api/feed',     feedRouter);
+app.use('/api/library',  libraryRouter);
+app.use('/api/history',  historyRouter);
+app.use('/api/recommendations', recommendRouter);
+app.use('/api/live',     liveRouter);
+app.use('/api/images',   imagesRouter);
+app.use('/api/trash',    trashRouter);
+app.use('/api/shared',   sharedRouter);
+app.use('/api/notifications', notificationsRouter);
+app.use('/',             pagesRouter);
 
 // ── 14. ROUTE CATCH-ALL ──────────────────────────────────────
 // Gestisce tutte le route non definite (404 personalizzato per le API)
@@ -346,6 +3191,13 @@ app.use('/api/*', (req, res) => {
 // Middleware con 4 parametri: Express lo riconosce come error handler
 // Viene invocato quando un middleware chiama next(err)
 app.use((err, req, res, next) => {
+  // Errori dei parser del body (es. file troppo grande → 413): li giriamo al client
+  if (err.status === 413) {
+    return res.status(413).json({ error: 'File troppo grande' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Il body non è un JSON valido', code: 'invalid_json' });
+  }
   console.error('[ERRORE]', err.stack);
   res.status(500).json({ error: 'Errore interno del server' });
 });
@@ -355,5 +3207,9 @@ app.use((err, req, res, next) => {
 app.listen(PORT, () => {
   console.log(`\n🎵 SpotifyClone Server avviato!`);
   console.log(`   → http://localhost:${PORT}`);
-  console.log(`   → DB: ${DB_PATH}\n`);
+  console.log(`   → DB: ${store.file} (${store.driver})\n`);
 });
+
+// Chiusura pulita (Ctrl+C, kill): salva su disco le ultime modifiche prima di uscire
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => process.exit(0)));
+process.on('exit', () => store.close());
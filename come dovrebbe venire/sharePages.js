@@ -0,0 +1,155 @@
+// ============================================================
+//  PAGINE CONDIVISE - Playlist aperte da un link di condivisione
+//  Chi riceve un link /s/<token> non ha bisogno di un account:
+//  il server risponde con una pagina HTML già completa (titolo,
+//  brani e un player <audio> per ogni brano con un file), che si
+//  legge anche senza JavaScript. Nell'<head> ci sono i meta
+//  Open Graph: le app di chat ne ricavano l'anteprima del link.
+//  /embed/<token> è la versione compatta da mettere in un <iframe>
+//  (es. sul sito della scuola o della squadra).
+//  Il JavaScript in fondo alla pagina è solo un aiuto: finito un
+//  brano parte il successivo, e ne suona uno alla volta.
+// ============================================================
+
+const APP_NAME = 'TuneNest';
+
+/** Escape per testo e attributi HTML */
+function esc(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[ch]);
+}
+
+const STYLE = `
+  :root { color-scheme: dark; }
+  * { box-sizing: border-box; margin: 0; padding: 0; }
+  body { font-family: system-ui, -apple-system, 'Segoe UI', sans-serif; background: #0a0a0f; color: #fff; }
+  a { color: #1db954; }
+  .wrap { max-width: 760px; margin: 0 auto; padding: 32px 20px; }
+  .head { display: flex; gap: 20px; align-items: flex-end; margin-bottom: 28px; }
+  .cover { width: 160px; height: 160px; flex-shrink: 0; border-radius: 12px; background: #22222c;
+           display: flex; align-items: center; justify-content: center; font-size: 72px; overflow: hidden; }
+  .cover img { width: 100%; height: 100%; object-fit: cover; }
+  .type { font-size: 12px; text-transform: uppercase; letter-spacing: .08em; color: #a0a0b0; }
+  h1 { font-size: 32px; line-height: 1.15; margin: 6px 0; word-break: break-word; }
+  .sub, .meta { color: #a0a0b0; font-size: 14px; }
+  .meta { margin-top: 8px; }
+  ol { list-style: none; }
+  li { display: grid; grid-template-columns: 28px 1fr auto; gap: 4px 12px; align-items: center;
+       padding: 10px 12px; border-radius: 8px; }
+  li:nth-child(odd) { background: #111118; }
+  .n { color: #606070; font-size: 13px; text-align: right; }
+  .title { font-weight: 600; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }
+  .artist { color: #a0a0b0; font-size: 13px; }
+  .dur { color: #606070; font-size: 13px; }
+  audio { grid-column: 2 / -1; width: 100%; height: 32px; margin-top: 4px; }
+  .empty { color: #a0a0b0; padding: 24px 0; }
+  footer { margin-top: 28px; color: #606070; font-size: 13px; }
+  body.embed .wrap { padding: 14px; max-width: none; }
+  body.embed .head { margin-bottom: 14px; gap: 14px; }
+  body.embed .cover { width: 72px; height: 72px; font-size: 36px; border-radius: 8px; }
+  body.embed h1 { font-size: 20px; margin: 2px 0; }
+  body.embed li { padding: 6px 8px; }
+  body.embed footer { margin-top: 12px; }
+  @media (max-width: 520px) { .head { flex-direction: column; align-items: flex-start; } }
+`;
+
+// Un brano alla volta; alla fine di uno parte il successivo che ha un file audio
+const SCRIPT = `
+  const players = [...document.querySelectorAll('audio')];
+  players.forEach((audio, i) => {
+    audio.addEventListener('play', () => players.forEach(p => p !== audio && p.pause()));
+    audio.addEventListener('ended', () => players[i + 1] && players[i + 1].play());
+  });
+`;
+
+function page({ title, head = '', body, embed = false }) {
+  return `<!DOCTYPE html>
+<html lang="it">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <meta name="robots" content="noindex" />
+  <title>${esc(title)}</title>
+${head}
+  <style>${STYLE}</style>
+</head>
+<body${embed ? ' class="embed"' : ''}>
+  <div class="wrap">
+${body}
+  </div>
+  <script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Pagina di una playlist condivisa.
+ * playlist: { name, subtitle, cover, author, songs } (canzoni già filtrate e ordinate)
+ * urls: { page, image(size) → indirizzo della copertina o null, media(song) → indirizzo dell'audio o null }
+ * embed: true per la versione compatta da iframe
+ */
+function renderSharedPlaylist(playlist, urls, { embed = false } = {}) {
+  const author  = playlist.author?.username || 'Sconosciuto';
+  const count   = `${playlist.songs.length} ${playlist.songs.length === 1 ? 'brano' : 'brani'}`;
+  const summary = playlist.subtitle || `Playlist di ${author} · ${count}`;
+  const image   = urls.image(512);
+
+  const og = [
+    ['og:type',        'music.playlist'],
+    ['og:site_name',   APP_NAME],
+    ['og:title',       playlist.name],
+    ['og:description', summary],
+    ['og:url',         urls.page],
+    ...(image ? [['og:image', image], ['og:image:width', '512'], ['og:image:height', '512']] : [])
+  ];
+  const head = [
+    `  <meta name="description" content="${esc(summary)}" />`,
+    ...og.map(([property, content]) => `  <meta property="${property}" content="${esc(content)}" />`),
+    `  <meta name="twitter:card" content="summary" />`,
+    `  <link rel="canonical" href="${esc(urls.page)}" />`
+  ].join('\n');
+
+  const cover = image
+    ? `<img src="${esc(urls.image(embed ? 256 : 512))}" alt="" />`
+    : esc(playlist.cover || '🎵');
+
+  const songs = playlist.songs.map((song, i) => {
+    const media = urls.media(song);
+    return `      <li>
+        <span class="n">${i + 1}</span>
+        <span><span class="title">${esc(song.title)}</span><br /><span class="artist">${esc(song.artist)}</span></span>
+        <span class="dur">${esc(song.duration || '')}</span>
+        ${media ? `<audio controls preload="none" src="${esc(media)}"></audio>` : ''}
+      </li>`;
+  }).join('\n');
+
+  const body = `    <header class="head">
+      <div class="cover">${cover}</div>
+      <div>
+        <p class="type">Playlist${playlist.smart ? ' smart' : ''}</p>
+        <h1>${esc(playlist.name)}</h1>
+        ${playlist.subtitle ? `<p class="sub">${esc(playlist.subtitle)}</p>` : ''}
+        <p class="meta">di <strong>${esc(author)}</strong> · ${count}</p>
+      </div>
+    </header>
+    ${playlist.songs.length ? `<ol>\n${songs}\n    </ol>` : '<p class="empty">Questa playlist è ancora vuota.</p>'}
+    <footer>
+      ${embed
+        ? `<a href="${esc(urls.page)}" target="_blank" rel="noopener">Apri su ${APP_NAME}</a>`
+        : `Condivisa con ${APP_NAME} · <a href="/">Crea le tue playlist</a>`}
+    </footer>`;
+
+  return page({ title: `${playlist.name} · ${APP_NAME}`, head, body, embed });
+}
+
+/** Pagina per un link revocato, scaduto o mai esistito */
+function renderShareNotFound({ embed = false } = {}) {
+  const body = `    <h1>Link non valido</h1>
+    <p class="sub">Questo link di condivisione è scaduto oppure è stato revocato da chi l'ha creato.</p>
+    <footer>${embed ? APP_NAME : `<a href="/">Vai a ${APP_NAME}</a>`}</footer>`;
+  return page({ title: `Link non valido · ${APP_NAME}`, body, embed });
+}
+
+module.exports = { renderSharedPlaylist, renderShareNotFound };
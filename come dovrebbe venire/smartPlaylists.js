@@ -0,0 +1,134 @@
+// ============================================================
+//  PLAYLIST SMART - Contenuto calcolato da regole
+//  Una playlist smart non salva canzoni ma una definizione:
+//    { match: 'all'|'any', rules: [{ field, op, value }], sort, order, limit }
+//  e viene riempita ogni volta che la si legge, scegliendo tra i
+//  brani delle playlist del proprietario. Esempi:
+//    "Pop sotto i 3:30"     → [{ field:'genre', op:'is', value:'Pop' },
+//                              { field:'duration', op:'lt', value:210 }]
+//    "Tutto di The Weeknd"  → [{ field:'artist', op:'is', value:'The Weeknd' }]
+// ============================================================
+
+const { parseDuration } = require('./audio');
+
+const MAX_RULES       = 20;   // Regole al massimo in una playlist smart
+const MAX_SMART_LIMIT = 1000; // Brani al massimo (anche senza limit indicato)
+const DAY_MS          = 24 * 60 * 60 * 1000;
+
+const TEXT_OPS = ['is', 'isNot', 'contains', 'notContains'];
+
+// Campi su cui si possono scrivere regole e operatori ammessi per ciascuno
+const SMART_FIELDS = {
+  title:    TEXT_OPS,
+  artist:   TEXT_OPS,
+  album:    TEXT_OPS,
+  genre:    TEXT_OPS,
+  duration: ['lt', 'gt', 'between'],       // value: secondi o "m:ss"; between: [min, max]
+  addedAt:  ['after', 'before', 'inLast'], // value: data; inLast: numero di giorni
+  playlist: ['is', 'isNot']                // value: id della playlist di provenienza
+};
+
+// Ordinamenti del risultato (verso predefinito come negli elenchi del server)
+const SMART_SORTS = {
+  addedAt:  { compare: (a, b) => a.addedAt.localeCompare(b.addedAt),                            order: 'desc' },
+  title:    { compare: (a, b) => a.title.localeCompare(b.title, 'it', { sensitivity: 'base' }),   order: 'asc' },
+  artist:   { compare: (a, b) => a.artist.localeCompare(b.artist, 'it', { sensitivity: 'base' }), order: 'asc' },
+  duration: { compare: (a, b) => seconds(a) - seconds(b),                                        order: 'asc' }
+};
+
+const normalize = str => String(str ?? '').trim().toLowerCase();
+const seconds   = song => parseDuration(song.duration || '') || 0;
+
+/** Valore di una regola già controllato e convertito (secondi, data ISO, testo); { error } se non valido */
+function ruleValue(field, op, value) {
+  if (field === 'duration') {
+    const values = op === 'between' ? value : [value];
+    if (!Array.isArray(values) || values.length !== (op === 'between' ? 2 : 1)) {
+      return { error: 'between vuole due durate: [min, max]' };
+    }
+    const parsed = values.map(v => parseDuration(v ?? ''));
+    if (parsed.some(v => v === null)) return { error: 'Durata non valida (secondi oppure "m:ss")' };
+    if (op === 'between' && parsed[0] > parsed[1]) return { error: "Nell'intervallo la durata minima supera la massima" };
+    return { value: op === 'between' ? parsed : parsed[0] };
+  }
+  if (field === 'addedAt') {
+    if (op === 'inLast') {
+      return Number.isInteger(value) && value > 0 ? { value } : { error: 'inLast vuole un numero di giorni' };
+    }
+    const date = new Date(value);
+    return isNaN(date) ? { error: 'Data non valida' } : { value: date.toISOString() };
+  }
+  if (typeof value !== 'string' || !value.trim()) return { error: `Valore mancante per ${field}` };
+  return { value: value.trim() };
+}
+
+/**
+ * Controlla la definizione inviata dal client e la restituisce pulita
+ * (solo i campi previsti, valori convertiti): { smart } oppure { error }.
+ */
+function validateSmart(input) {
+  if (!input || typeof input !== 'object') return { error: 'Definizione della playlist smart mancante' };
+  const { match = 'all', rules, sort = 'addedAt', order, limit = null } = input;
+
+  if (!['all', 'any'].includes(match)) return { error: 'match non valido (all, any)' };
+  if (!Array.isArray(rules) || !rules.length) return { error: 'Serve almeno una regola' };
+  if (rules.length > MAX_RULES) return { error: `Troppe regole (max ${MAX_RULES})` };
+  if (!SMART_SORTS[sort]) return { error: `Ordinamento non valido (${Object.keys(SMART_SORTS).join(', ')})` };
+  if (order !== undefined && !['asc', 'desc'].includes(order)) return { error: 'Verso non valido (asc, desc)' };
+  if (limit !== null && (!Number.isInteger(limit) || limit < 1 || limit > MAX_SMART_LIMIT)) {
+    return { error: `limit deve essere un intero tra 1 e ${MAX_SMART_LIMIT}` };
+  }
+
+  const clean = [];
+  for (const [i, rule] of rules.entries()) {
+    const ops = SMART_FIELDS[rule?.field];
+    if (!ops) return { error: `Regola ${i + 1}: campo non valido (${Object.keys(SMART_FIELDS).join(', ')})` };
+    if (!ops.includes(rule.op)) return { error: `Regola ${i + 1}: operatore non valido per ${rule.field} (${ops.join(', ')})` };
+    const { value, error } = ruleValue(rule.field, rule.op, rule.value);
+    if (error) return { error: `Regola ${i + 1}: ${error}` };
+    clean.push({ field: rule.field, op: rule.op, value });
+  }
+  return { smart: { match, rules: clean, sort, order: order || SMART_SORTS[sort].order, limit } };
+}
+
+/** Il brano soddisfa la regola? song ha anche playlistId (la playlist da cui viene) */
+function matchesRule(song, { field, op, value }, now) {
+  switch (field) {
+    case 'duration': {
+      const s = seconds(song);
+      if (op === 'lt') return s < value;
+      if (op === 'gt') return s > value;
+      return s >= value[0] && s <= value[1];
+    }
+    case 'addedAt': {
+      if (op === 'inLast') return new Date(song.addedAt) >= new Date(now.getTime() - value * DAY_MS);
+      return op === 'after' ? song.addedAt > value : song.addedAt < value;
+    }
+    case 'playlist':
+      return (song.playlistId === value) === (op === 'is');
+    default: {
+      const text   = normalize(song[field]);
+      const wanted = normalize(value);
+      if (op === 'is')       return text === wanted;
+      if (op === 'isNot')    return text !== wanted;
+      if (op === 'contains') return text.includes(wanted);
+      return !text.includes(wanted);
+    }
+  }
+}
+
+/**
+ * Brani della playlist smart: quelli di "songs" che rispettano le regole
+ * (tutte con match 'all', almeno una con 'any'), ordinati e tagliati a limit.
+ * Ogni brano deve avere playlistId e addedAt.
+ */
+function evaluateSmart(smart, songs, now = new Date()) {
+  const checks = smart.rules.map(rule => song => matchesRule(song, rule, now));
+  const dir    = smart.order === 'asc' ? 1 : -1;
+  return songs
+    .filter(song => (smart.match === 'any' ? checks.some(c => c(song)) : checks.every(c => c(song))))
+    .sort((a, b) => dir * SMART_SORTS[smart.sort].compare(a, b) || a.id.localeCompare(b.id))
+    .slice(0, smart.limit || MAX_SMART_LIMIT);
+}
+
+module.exports = { SMART_FIELDS, SMART_SORTS, validateSmart, evaluateSmart };
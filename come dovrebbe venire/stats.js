@@ -0,0 +1,79 @@
+// ============================================================
+//  STATISTICHE DI ASCOLTO
+//  Calcola il riepilogo di un utente a partire dai suoi ascolti
+//  (db.plays): artisti, generi e playlist più ascoltati e tempo
+//  di ascolto per giorno e per settimana.
+//  Le date sono raggruppate in UTC (giorno "YYYY-MM-DD").
+// ============================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Data UTC "YYYY-MM-DD" */
+function dayKey(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/** Lunedì (UTC) della settimana della data, come "YYYY-MM-DD" */
+function weekKey(date) {
+  const monday = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7)); // getUTCDay: 0 = domenica
+  return dayKey(monday);
+}
+
+/**
+ * Raggruppa gli ascolti per chiave (es. artista) sommando ascolti e secondi;
+ * restituisce i primi "limit", dal più ascoltato.
+ * key(play) → chiave di raggruppamento; label(play) → nome da mostrare
+ */
+function top(plays, key, label, limit) {
+  const groups = new Map();
+  plays.forEach(p => {
+    const k = key(p);
+    if (!k) return;
+    const g = groups.get(k) || { key: k, name: label(p), plays: 0, seconds: 0 };
+    g.plays++;
+    g.seconds += p.seconds;
+    groups.set(k, g);
+  });
+  return [...groups.values()]
+    .sort((a, b) => b.seconds - a.seconds || b.plays - a.plays)
+    .slice(0, limit);
+}
+
+/**
+ * Statistiche degli ascolti degli ultimi "days" giorni (oggi compreso).
+ * plays: ascolti di un solo utente ({ playedAt, seconds, artist, genre, playlistId, … })
+ */
+function computeStats(plays, days, now = new Date(), limit = 10) {
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (days - 1) * DAY_MS);
+  const inRange = plays.filter(p => new Date(p.playedAt) >= from);
+
+  // Un valore per ogni giorno e ogni settimana del periodo, anche se a zero (il grafico non ha buchi)
+  const perDay  = new Map();
+  const perWeek = new Map();
+  for (let t = from.getTime(); t <= now.getTime(); t += DAY_MS) {
+    perDay.set(dayKey(new Date(t)), 0);
+    perWeek.set(weekKey(new Date(t)), 0);
+  }
+  inRange.forEach(p => {
+    const date = new Date(p.playedAt);
+    perDay.set(dayKey(date), (perDay.get(dayKey(date)) || 0) + p.seconds);
+    perWeek.set(weekKey(date), (perWeek.get(weekKey(date)) || 0) + p.seconds);
+  });
+
+  const normalized = str => String(str || '').trim().toLowerCase();
+  return {
+    days,
+    from:         dayKey(from),
+    plays:        inRange.length,
+    totalSeconds: inRange.reduce((total, p) => total + p.seconds, 0),
+    uniqueSongs:  new Set(inRange.map(p => p.songId)).size,
+    topArtists:   top(inRange, p => normalized(p.artist), p => p.artist, limit),
+    topGenres:    top(inRange, p => normalized(p.genre),  p => p.genre,  limit),
+    topPlaylists: top(inRange, p => p.playlistId, p => p.playlistName, limit),
+    perDay:       [...perDay].map(([date, seconds]) => ({ date, seconds })),
+    perWeek:      [...perWeek].map(([week, seconds]) => ({ week, seconds }))
+  };
+}
+
+module.exports = { computeStats };
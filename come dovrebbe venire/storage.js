@@ -0,0 +1,291 @@
+// ============================================================
+//  STORAGE - Persistenza dei dati
+//  - Tiene in memoria una copia del DB: le letture non toccano il disco
+//  - Le scritture aggiornano subito la memoria e vengono salvate su
+//    disco una alla volta (mai due salvataggi sovrapposti)
+//  - JSON: scrittura atomica (file temporaneo + rename), così un crash
+//    a metà salvataggio non lascia mai db.json troncato
+//  - SQLite (opzionale): un record per riga, salvataggi in transazione
+//  - All'avvio applica le migrazioni dello schema (migrations.js)
+//  - Chi deve solo cercare (es. l'autenticazione) usa una vista in
+//    sola lettura, senza copiare tutto il DB a ogni richiesta
+// ============================================================
+
+const fs   = require('fs');
+const { migrate, LATEST_VERSION } = require('./migrations');
+
+// ── DRIVER JSON ──────────────────────────────────────────────
+// Tutto il DB in un unico file JSON (il formato storico del progetto)
+function jsonDriver(file) {
+  const tmp = file + '.tmp';
+
+  return {
+    name: 'json',
+    file,
+
+    load() {
+      if (!fs.existsSync(file)) return {};
+      return JSON.parse(fs.readFileSync(file, 'utf-8'));
+    },
+
+    // Salvataggio asincrono: scrive il file temporaneo, lo forza su disco (fsync)
+    // e solo allora lo rinomina sopra a quello vero. rename è atomico: chi legge
+    // il file vede o la versione vecchia o quella nuova, mai una via di mezzo.
+    async save(data) {
+      const handle = await fs.promises.open(tmp, 'w');
+      try {
+        await handle.writeFile(JSON.stringify(data, null, 2), 'utf-8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.promises.rename(tmp, file);
+    },
+
+    // Versione sincrona, usata in chiusura del processo. Ha un suo file temporaneo:
+    // potrebbe partire mentre un salvataggio asincrono sta ancora scrivendo su "tmp"
+    saveSync(data) {
+      const syncTmp = file + '.sync.tmp';
+      const fd = fs.openSync(syncTmp, 'w');
+      try {
+        fs.writeFileSync(fd, JSON.stringify(data, null, 2), 'utf-8');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(syncTmp, file);
+    },
+
+    close() {}
+  };
+}
+
+// ── DRIVER SQLITE ────────────────────────────────────────────
+// Ogni elemento delle collezioni (users, playlists, …) è una riga della
+// tabella "documents"; le chiavi che non sono array (es. meta) finiscono
+// nella tabella "meta". Si salvano solo le righe cambiate dall'ultima volta.
+// Una collezione vuota non ha righe: l'elenco dei nomi sta in meta
+// (COLLECTIONS_KEY), così al riavvio torna come array vuoto.
+// Usa il modulo integrato node:sqlite (Node 22+) oppure better-sqlite3.
+
+const COLLECTIONS_KEY = '#collections'; // Non è una chiave del DB: non può finire tra i dati
+function openSqlite(file) {
+  try {
+    const { DatabaseSync } = require('node:sqlite');
+    return new DatabaseSync(file);
+  } catch {
+    try {
+      const Database = require('better-sqlite3');
+      return new Database(file);
+    } catch {
+      throw new Error('SQLite non disponibile: serve Node 22+ (node:sqlite) oppure il pacchetto better-sqlite3');
+    }
+  }
+}
+
+function sqliteDriver(file, importFrom) {
+  const db = openSqlite(file);
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id         TEXT NOT NULL,
+      position   INTEGER NOT NULL,
+      data       TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    );
+    CREATE TABLE IF NOT EXISTS meta (
+      key   TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+  `);
+
+  const upsertDoc  = db.prepare(`INSERT INTO documents (collection, id, position, data) VALUES (?, ?, ?, ?)
+                                 ON CONFLICT (collection, id) DO UPDATE SET position = excluded.position, data = excluded.data`);
+  const deleteDoc  = db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?');
+  const upsertMeta = db.prepare(`INSERT INTO meta (key, value) VALUES (?, ?)
+                                 ON CONFLICT (key) DO UPDATE SET value = excluded.value`);
+
+  // Ultimo contenuto salvato di ogni riga ("collezione/id" → JSON): serve a scrivere solo le differenze
+  let written = new Map();
+
+  const keyOf = (collection, item, i) => `${collection}/${item.id ?? i}`;
+
+  function saveSync(data) {
+    const next = new Map();
+    db.exec('BEGIN');
+    try {
+      const collections = Object.keys(data).filter(key => Array.isArray(data[key]));
+      upsertMeta.run(COLLECTIONS_KEY, JSON.stringify(collections));
+      for (const [key, value] of Object.entries(data)) {
+        if (!Array.isArray(value)) {
+          upsertMeta.run(key, JSON.stringify(value));
+          continue;
+        }
+        value.forEach((item, i) => {
+          const k    = keyOf(key, item, i);
+          const json = JSON.stringify(item);
+          const row  = `${i}|${json}`; // Conta anche la posizione: l'ordine degli array va conservato
+          if (written.get(k) !== row) upsertDoc.run(key, String(item.id ?? i), i, json);
+          next.set(k, row);
+        });
+      }
+      // Righe non più presenti (elementi eliminati)
+      for (const k of written.keys()) {
+        if (!next.has(k)) {
+          const [collection, ...id] = k.split('/');
+          deleteDoc.run(collection, id.join('/'));
+        }
+      }
+      db.exec('COMMIT');
+      written = next;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  function load() {
+    const data = {};
+    const meta = db.prepare('SELECT key, value FROM meta').all();
+    for (const row of meta) {
+      if (row.key === COLLECTIONS_KEY) JSON.parse(row.value).forEach(name => { data[name] = data[name] || []; });
+      else                             data[row.key] = JSON.parse(row.value);
+    }
+    const rows = db.prepare('SELECT collection, position, data FROM documents ORDER BY collection, position').all();
+    for (const row of rows) {
+      const item = JSON.parse(row.data);
+      (data[row.collection] = data[row.collection] || []).push(item);
+      written.set(keyOf(row.collection, item, row.position), `${row.position}|${row.data}`);
+    }
+
+    // Primo avvio con SQLite: importa i dati dal vecchio db.json
+    if (!meta.length && !rows.length && importFrom && fs.existsSync(importFrom)) {
+      console.log(`   → Importo i dati da ${importFrom}`);
+      return JSON.parse(fs.readFileSync(importFrom, 'utf-8'));
+    }
+    return data;
+  }
+
+  return { name: 'sqlite', file, load, saveSync, close: () => db.close() };
+}
+
+// ── VISTA IN SOLA LETTURA ────────────────────────────────────
+// Ogni oggetto raggiunto dalla vista è a sua volta in sola lettura (le viste si creano
+// al primo accesso e si riusano). Modificarne uno lancia un errore: una route che ci
+// scrivesse per sbaglio se ne accorge subito, invece di sporcare i dati in memoria.
+
+const views   = new WeakMap(); // oggetto → vista
+const targets = new WeakMap(); // vista → oggetto
+
+function refuse() {
+  throw new TypeError('Dati in sola lettura: per modificarli serve una copia (read)');
+}
+
+const READ_ONLY = {
+  get: (target, key, receiver) => viewOf(Reflect.get(target, key, receiver)),
+  set: refuse,
+  deleteProperty: refuse,
+  defineProperty: refuse,
+  setPrototypeOf: refuse
+};
+
+function viewOf(value) {
+  if (value === null || typeof value !== 'object') return value;
+  let view = views.get(value);
+  if (!view) {
+    view = new Proxy(value, READ_ONLY);
+    views.set(value, view);
+    targets.set(view, value);
+  }
+  return view;
+}
+
+// ── STORE ────────────────────────────────────────────────────
+
+/**
+ * Crea lo storage.
+ * options.driver: 'json' (default) oppure 'sqlite'
+ * options.file:   percorso di db.json (per SQLite viene usato accanto, con estensione .sqlite)
+ */
+function createStorage({ file, driver = 'json' }) {
+  const backend = driver === 'sqlite'
+    ? sqliteDriver(file.replace(/\.json$/, '') + '.sqlite', file)
+    : jsonDriver(file);
+
+  let data = backend.load();
+
+  if ((data.meta?.schemaVersion || 0) > LATEST_VERSION) {
+    throw new Error(`Il DB ha lo schema v${data.meta.schemaVersion}, più recente di questo server (v${LATEST_VERSION})`);
+  }
+  const applied = migrate(data);
+  applied.forEach(m => console.log(`   → Migrazione v${m.version}: ${m.description}`));
+  if (applied.length || backend.name === 'sqlite') backend.saveSync(data);
+
+  // Stato dei salvataggi: uno alla volta; se ne arriva un altro durante
+  // un salvataggio, parte subito dopo con i dati più recenti
+  let saving = false;
+  let dirty  = false;
+
+  async function flush() {
+    if (saving) return;
+    saving = true;
+    try {
+      while (dirty) {
+        dirty = false;
+        if (backend.save) await backend.save(data);
+        else              backend.saveSync(data);
+      }
+    } catch (err) {
+      dirty = true; // Riproverà al prossimo salvataggio
+      console.error('[STORAGE] Salvataggio fallito:', err.message);
+    } finally {
+      saving = false;
+    }
+  }
+
+  return {
+    driver: backend.name,
+    file:   backend.file,
+
+    /**
+     * Copia dei dati: ogni richiesta lavora sulla sua, così una route che
+     * modifica l'oggetto e poi risponde con un errore non sporca lo stato.
+     */
+    read() {
+      return structuredClone(data);
+    },
+
+    /** I dati senza copia, in sola lettura: per le letture che cercano e basta */
+    view() {
+      return viewOf(data);
+    },
+
+    /** Copia modificabile di un oggetto preso dalla vista (es. l'utente autenticato) */
+    copy(view) {
+      return structuredClone(targets.get(view) ?? view);
+    },
+
+    /** Sostituisce i dati in memoria e programma il salvataggio su disco */
+    write(next) {
+      data  = next;
+      dirty = true;
+      setImmediate(flush); // I salvataggi ravvicinati si accorpano in uno solo
+    },
+
+    /** Salvataggio immediato e sincrono (es. prima di uscire) */
+    flushSync() {
+      // Anche con un salvataggio asincrono in corso: il processo potrebbe chiudersi prima che finisca
+      if (dirty || saving) {
+        backend.saveSync(data);
+        dirty = false;
+      }
+    },
+
+    close() {
+      this.flushSync();
+      backend.close();
+    }
+  };
+}
+
+module.exports = { createStorage };
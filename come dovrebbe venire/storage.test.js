@@ -0,0 +1,48 @@
+// ============================================================
+//  TEST - Storage: i dati sopravvivono a un riavvio
+//  Si esegue con: node --test
+//  Il driver SQLite serve Node 22+ (node:sqlite) oppure better-sqlite3:
+//  senza, quei test vengono saltati.
+// ============================================================
+
+const test   = require('node:test');
+const assert = require('node:assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const { createStorage } = require('./storage');
+
+function sqliteAvailable() {
+  try { require('node:sqlite'); return true; } catch {}
+  try { require('better-sqlite3'); return true; } catch {}
+  return false;
+}
+
+/** Apre lo storage in una cartella temporanea, ci lavora con work(store) e lo chiude */
+function withStore(dir, driver, work) {
+  const store = createStorage({ file: path.join(dir, 'db.json'), driver });
+  try { return work(store); } finally { store.close(); }
+}
+
+['json', 'sqlite'].forEach(driver => {
+  test(`${driver}: le collezioni vuote ci sono ancora dopo un riavvio`, { skip: driver === 'sqlite' && !sqliteAvailable() }, () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tunenest-'));
+    try {
+      const first = withStore(dir, driver, store => {
+        const db = store.read();
+        db.users.push({ id: 'u1', username: 'marco' });
+        store.write(db);
+        return db;
+      });
+      const second = withStore(dir, driver, store => store.read());
+
+      assert.deepStrictEqual(second.users, [{ id: 'u1', username: 'marco' }]);
+      Object.keys(first).filter(key => Array.isArray(first[key])).forEach(key => {
+        assert.ok(Array.isArray(second[key]), `manca la collezione ${key}`);
+      });
+      assert.deepStrictEqual(second.sessions, []);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
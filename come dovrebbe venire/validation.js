@@ -0,0 +1,266 @@
+// ============================================================
+//  VALIDAZIONE - Controllo dei dati in ingresso
+//  Ogni route dichiara che cosa accetta in params, query e body
+//  con uno schema (campo → regola), ad esempio:
+//    { name:  v.text({ min: 1, max: 100, label: 'il nome' }),
+//      cover: v.emoji({ default: '🎵', label: 'la cover' }) }
+//  Il middleware validate() controlla la richiesta e sostituisce i
+//  dati con quelli puliti (spazi tolti, numeri della query
+//  convertiti, valori predefiniti). I campi non previsti vengono
+//  rifiutati: un errore di battitura non passa sotto silenzio.
+//  Tutti gli errori delle API hanno la stessa forma:
+//    { error: 'Il nome può avere al massimo 100 caratteri',
+//      code:  'too_long',   ← per il codice del client
+//      field: 'name' }      ← il campo sbagliato (solo se c'è)
+// ============================================================
+
+// Codice predefinito per gli errori che non ne indicano uno (vedi errorFormat)
+const STATUS_CODES = {
+  400: 'invalid_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  413: 'payload_too_large',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error'
+};
+
+// Caratteri di controllo (a capo, tab, NUL…): mai nei testi di una riga; nei testi lunghi solo l'a capo
+const SINGLE_LINE_FORBIDDEN = /[\u0000-\u001f\u007f]/;
+const MULTILINE_FORBIDDEN   = /[\u0000-\u0009\u000b-\u001f\u007f]/;
+
+// Un'emoji: pittogrammi, bandiere (coppie di indicatori regionali) e tasti (1️⃣), con i loro
+// modificatori (carnagione, variation selector, ZWJ delle emoji composte come 👩‍🎤)
+const EMOJI_PARTS = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|[\u200d\ufe0f\u20e3#*0-9\u{e0020}-\u{e007f}])+$/u;
+const EMOJI_BASE  = /\p{Extended_Pictographic}|\p{Regional_Indicator}|\u20e3/u;
+const graphemes   = new Intl.Segmenter('it', { granularity: 'grapheme' });
+
+// "m:ss" o "h:mm:ss" (i minuti possono superare 59 solo senza le ore, es. "75:00")
+const DURATION_FORMAT = /^(\d{1,3}:[0-5]\d|\d{1,2}:[0-5]\d:[0-5]\d)$/;
+
+// Gli id sono generati dal server (esadecimali) o quelli dei dati di esempio ("p1", "u2")
+const ID_FORMAT = /^[\w-]{1,64}$/;
+
+const capitalize = str => str.charAt(0).toUpperCase() + str.slice(1);
+const fail       = (code, message) => ({ code, message });
+
+/**
+ * Crea una regola. check(value, ctx) → { value } (pulito) oppure { code, message }.
+ * ctx: { source: 'params'|'query'|'body', name, Name } — name è l'etichetta del campo
+ * ("il nome") da usare nei messaggi, Name la stessa con l'iniziale maiuscola.
+ * Opzioni comuni: optional, default (rende il campo facoltativo), label.
+ */
+function rule(check, { optional = false, label, ...rest } = {}) {
+  return { check, label, optional: optional || 'default' in rest, default: rest.default };
+}
+
+/**
+ * Testo: senza spazi ai lati, tra min e max caratteri (le emoji contano uno), niente caratteri
+ * di controllo. multiline: ammette l'a capo. trim: false per le password. pattern + hint: formato.
+ */
+function text({ min = 0, max, multiline = false, trim = true, pattern, hint, ...opts } = {}) {
+  return rule((value, { name, Name }) => {
+    if (typeof value !== 'string') return fail('invalid_type', `Valore non valido per ${name}: serve un testo`);
+    let str = multiline ? value.replace(/\r\n?/g, '\n') : value;
+    if (trim) str = str.trim();
+    if ((multiline ? MULTILINE_FORBIDDEN : SINGLE_LINE_FORBIDDEN).test(str)) {
+      return fail('invalid_characters', `${Name} contiene caratteri non ammessi`);
+    }
+    const length = [...str].length;
+    if (!length && min) return fail('required', `Manca ${name}`);
+    if (length < min) return fail('too_short', `${Name} deve avere almeno ${min} caratteri`);
+    if (max !== undefined && length > max) return fail('too_long', `${Name} può avere al massimo ${max} caratteri`);
+    if (pattern && !pattern.test(str)) return fail('invalid_format', `${Name} ${hint}`);
+    return { value: str };
+  }, opts);
+}
+
+/** Una sola emoji (anche composta: bandiere, 👩‍🎤, 👍🏽): per cover e avatar */
+function emoji(opts = {}) {
+  return rule((value, { name, Name }) => {
+    const str = typeof value === 'string' ? value.trim() : '';
+    if (!str) return typeof value === 'string' ? fail('required', `Manca ${name}`)
+      : fail('invalid_type', `Valore non valido per ${name}: serve un'emoji`);
+    if ([...graphemes.segment(str)].length !== 1 || !EMOJI_PARTS.test(str) || !EMOJI_BASE.test(str)) {
+      return fail('invalid_emoji', `${Name} deve essere una sola emoji`);
+    }
+    return { value: str };
+  }, opts);
+}
+
+/** Durata "m:ss" (o "h:mm:ss"), riscritta nella forma standard ("03:05" → "3:05"). "" = non indicata */
+function duration(opts = {}) {
+  return rule((value, { name, Name }) => {
+    if (typeof value !== 'string') return fail('invalid_type', `Valore non valido per ${name}: serve un testo`);
+    const str = value.trim();
+    if (!str) return { value: '' };
+    if (!DURATION_FORMAT.test(str)) return fail('invalid_format', `${Name} deve essere nel formato m:ss (es. 3:45)`);
+    const seconds = str.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    const min = Math.floor(seconds / 60);
+    return { value: `${min}:${String(seconds % 60).padStart(2, '0')}` };
+  }, opts);
+}
+
+/** Numero, con gt (strettamente maggiore), min e max. integer: solo interi; values: solo quelli elencati */
+function number({ integer = false, gt, min, max, values, ...opts } = {}) {
+  return rule((value, { source, name, Name }) => {
+    // Nella query string e nel percorso tutto è testo: "20" diventa 20
+    const num = source !== 'body' && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+    const kind = integer ? 'un intero' : 'un numero';
+    if (typeof num !== 'number' || !Number.isFinite(num) || (integer && !Number.isInteger(num))) {
+      return fail('invalid_type', `${Name} deve essere ${kind}`);
+    }
+    if (values && !values.includes(num)) return fail('invalid_value', `Valore non valido per ${name} (${values.join(', ')})`);
+    if ((gt !== undefined && num <= gt) || (min !== undefined && num < min) || (max !== undefined && num > max)) {
+      const range = min !== undefined && max !== undefined ? `tra ${min} e ${max}`
+        : gt !== undefined ? `maggiore di ${gt}${max !== undefined ? ` e al massimo ${max}` : ''}`
+        : min !== undefined ? `almeno ${min}` : `al massimo ${max}`;
+      return fail('out_of_range', `${Name} deve essere ${kind} ${range}`);
+    }
+    return { value: num };
+  }, opts);
+}
+
+const int = (opts = {}) => number({ ...opts, integer: true });
+
+/** Sì/no. Nella query string: 1/true/0/false (es. ?summary=1) */
+function bool(opts = {}) {
+  return rule((value, { source, Name }) => {
+    if (typeof value === 'boolean') return { value };
+    if (source !== 'body' && ['1', 'true', '0', 'false'].includes(value)) return { value: value === '1' || value === 'true' };
+    return fail('invalid_type', `${Name} deve essere vero o falso`);
+  }, opts);
+}
+
+/** Uno dei valori elencati */
+function oneOf(values, opts = {}) {
+  return rule((value, { name }) => (values.includes(value) ? { value }
+    : fail('invalid_value', `Valore non valido per ${name} (${values.join(', ')})`)), opts);
+}
+
+/** Data (ISO o qualsiasi formato che Date capisce), riscritta in ISO */
+function date(opts = {}) {
+  return rule((value, { name }) => {
+    const when = typeof value === 'string' && value.trim() ? new Date(value) : null;
+    if (!when || isNaN(when)) return fail('invalid_date', `Data non valida in ${name}`);
+    return { value: when.toISOString() };
+  }, opts);
+}
+
+/** Id di una risorsa (playlist, canzone, utente…) */
+function id(opts = {}) {
+  return rule((value, { name }) => (typeof value === 'string' && ID_FORMAT.test(value) ? { value }
+    : fail('invalid_id', `Id non valido in ${name}`)), opts);
+}
+
+/** Array i cui elementi rispettano tutti la regola "item" */
+function list(item, { max, ...opts } = {}) {
+  return rule((value, ctx) => {
+    if (!Array.isArray(value)) return fail('invalid_type', `${ctx.Name} deve essere un elenco`);
+    if (max !== undefined && value.length > max) return fail('too_long', `${ctx.Name} può avere al massimo ${max} elementi`);
+    const clean = [];
+    for (const element of value) {
+      const result = item.check(element, ctx);
+      if (result.code) return result;
+      clean.push(result.value);
+    }
+    return { value: clean };
+  }, opts);
+}
+
+/**
+ * Regola scritta a mano per i dati con una struttura propria (es. le regole di una playlist smart):
+ * fn(value) → { value } oppure { error } con il messaggio.
+ */
+function custom(fn, opts = {}) {
+  return rule(value => {
+    const result = fn(value);
+    return result.error ? fail('invalid_value', result.error) : { value: result.value };
+  }, opts);
+}
+
+/** La stessa regola, ma facoltativa (con un valore predefinito, se indicato) */
+function optional(r, defaultValue) {
+  return { ...r, optional: true, default: defaultValue };
+}
+
+/** Lo schema con tutti i campi facoltativi: per le modifiche parziali (PATCH) */
+function partial(schema) {
+  return Object.fromEntries(Object.entries(schema).map(([field, r]) => [field, optional(r)]));
+}
+
+/**
+ * Controlla un oggetto (params, query o body) con il suo schema.
+ * Restituisce { value } pulito oppure { error: { error, code, field } }.
+ */
+function checkObject(schema, input, source) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input) || Buffer.isBuffer(input)) {
+    return { error: { error: 'Il body deve essere un oggetto JSON', code: 'invalid_type' } };
+  }
+  // Il token può sempre arrivare nella query string: lo legge optionalAuth, prima della validazione
+  const unknown = Object.keys(input).find(key => !(key in schema) && !(source === 'query' && key === 'token'));
+  if (unknown) return { error: { error: `Campo non previsto: ${unknown}`, code: 'unknown_field', field: unknown } };
+
+  const clean = {};
+  for (const [field, r] of Object.entries(schema)) {
+    let value = input[field];
+    if (source === 'query' && value === '') value = undefined; // ?genre= equivale a non indicarlo
+    const name = r.label || field;
+    if (value === undefined) {
+      if (!r.optional) return { error: { error: `Manca ${name}`, code: 'required', field } };
+      if (r.default !== undefined) clean[field] = r.default;
+      continue;
+    }
+    const result = r.check(value, { source, name, Name: r.label ? capitalize(r.label) : field });
+    if (result.code) return { error: { error: result.message, code: result.code, field } };
+    clean[field] = result.value;
+  }
+  return { value: clean };
+}
+
+/**
+ * Middleware di validazione: schemas = { params, query, body } (ognuno facoltativo),
+ * oppure una funzione req → schemas quando dipendono dalla richiesta.
+ * Al primo errore risponde 400; altrimenti req.params/query/body diventano i dati puliti.
+ */
+function validate(schemas) {
+  return (req, res, next) => {
+    const chosen = typeof schemas === 'function' ? schemas(req) : schemas;
+    for (const source of ['params', 'query', 'body']) {
+      if (!chosen[source]) continue;
+      const result = checkObject(chosen[source], req[source] ?? {}, source);
+      if (result.error) return res.status(400).json(result.error);
+      req[source] = result.value;
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware globale: ogni risposta di errore { error } riceve anche un code, se la route non
+ * ne ha indicato uno più preciso (es. 404 → "not_found"). Così il client trova sempre lo stesso formato.
+ */
+function errorFormat(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = body => {
+    if (res.statusCode >= 400 && typeof body?.error === 'string' && !body.code) {
+      body = { error: body.error, code: STATUS_CODES[res.statusCode] || 'error', ...body };
+    }
+    return json(body);
+  };
+  next();
+}
+
+/**
+ * Le stesse regole fuori da una richiesta (es. i campi letti da un file importato).
+ * Restituisce { value } pulito oppure { error: { error, code, field } }.
+ */
+function check(schema, input) {
+  return checkObject(schema, input, 'body');
+}
+
+const v = { text, emoji, duration, number, int, bool, oneOf, date, id, list, custom, optional, partial };
+
+module.exports = { v, validate, check, errorFormat };